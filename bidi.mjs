@@ -0,0 +1,152 @@
+import { jsPDF } from "jspdf";
+
+/**
+ * @typedef {"ltr" | "rtl"} Direction
+ */
+
+/** Letters of scripts written right to left */
+const RTL_LETTER =
+  /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}]/u;
+
+/**
+ * Get the direction of a computed style
+ * @param {{ direction?: string }} style - Computed style
+ * @returns {Direction}
+ */
+export const getDirection = (style) =>
+  style.direction === "rtl" ? "rtl" : "ltr";
+
+/**
+ * Find the direction of text from its first strong character, like
+ * `dir="auto"`
+ * @param {string} text - Text to look at
+ * @returns {Direction | null} Direction, or null if the text has no letters
+ */
+export const detectDirection = (text) => {
+  const letter = text.match(/\p{L}/u)?.[0];
+  if (!letter) return null;
+  return RTL_LETTER.test(letter) ? "rtl" : "ltr";
+};
+
+/**
+ * Get the direction the `dir` attribute of an element asks for
+ * @param {Element} element - Element to look at
+ * @returns {Direction | null} Direction, or null without a valid attribute
+ */
+export const getDirAttribute = (element) => {
+  const dir = (element.getAttribute("dir") ?? "").trim().toLowerCase();
+  if (dir === "rtl" || dir === "ltr") return dir;
+  if (dir === "auto") return detectDirection(element.textContent ?? "");
+  return null;
+};
+
+/**
+ * Resolve `text-align` to a physical side
+ * @param {string | undefined} textAlign - CSS text-align
+ * @param {Direction} direction - Direction of the paragraph
+ * @returns {"left" | "right" | "center" | "justify"}
+ */
+export const resolveTextAlign = (textAlign, direction) => {
+  const start = direction === "rtl" ? "right" : "left";
+  const end = direction === "rtl" ? "left" : "right";
+  switch (textAlign) {
+    case "left":
+    case "right":
+    case "center":
+    case "justify":
+      return textAlign;
+    case "end":
+      return end;
+    case "match-parent":
+    case "start":
+    default:
+      return start;
+  }
+};
+
+/**
+ * Options for `pdf.text` that lay out one line of text in reading order
+ * with the Unicode bidirectional algorithm. jsPDF gives Arabic letters
+ * their contextual forms and lam-alef ligatures before reordering.
+ * @param {Direction} direction - Direction of the paragraph
+ * @returns {Object} Options for `pdf.text`
+ */
+export const getBidiTextOptions = (direction) => ({
+  isInputVisual: false,
+  isOutputVisual: true,
+  isInputRtl: direction === "rtl",
+  isOutputRtl: false,
+  isSymmetricSwapping: true,
+});
+
+/** Reorders logical text for each paragraph direction */
+const bidiEngines = {
+  ltr: new jsPDF.__bidiEngine__(getBidiTextOptions("ltr")),
+  rtl: new jsPDF.__bidiEngine__(getBidiTextOptions("rtl")),
+};
+
+/**
+ * Put the fragments of a line in drawing order. Fragments are split where
+ * the embedding level of the Unicode bidirectional algorithm changes, and
+ * the pieces are reversed level by level, so each piece only needs to be
+ * drawn in its own direction.
+ * @template {{ text: string }} F
+ * @param {F[]} fragments - Fragments of one line in logical order
+ * @param {Direction} direction - Direction of the paragraph
+ * @returns {(F & { direction: Direction })[]} Pieces from left to right
+ */
+export const getVisualOrder = (fragments, direction) => {
+  const text = fragments.map((fragment) => fragment.text).join("");
+  if (direction === "ltr" && !RTL_LETTER.test(text)) {
+    return fragments.map((fragment) => ({ ...fragment, direction }));
+  }
+
+  /** @type {number[]} */
+  const levels = [];
+  bidiEngines[direction].doBidiReorder(text, [], levels);
+
+  /** @type {(F & { direction: Direction, level: number })[]} */
+  const pieces = [];
+  let offset = 0;
+  for (const fragment of fragments) {
+    let start = 0;
+    for (let i = 1; i <= fragment.text.length; i++) {
+      if (
+        i === fragment.text.length ||
+        levels[offset + i] !== levels[offset + start]
+      ) {
+        const level = levels[offset + start] ?? 0;
+        pieces.push({
+          ...fragment,
+          text: fragment.text.slice(start, i),
+          level,
+          direction: level % 2 === 1 ? "rtl" : "ltr",
+        });
+        start = i;
+      }
+    }
+    offset += fragment.text.length;
+  }
+
+  // From the highest level down to the lowest odd one, reverse every
+  // sequence of pieces at that level or higher
+  const maxLevel = Math.max(...pieces.map(({ level }) => level));
+  const minOddLevel = Math.min(
+    ...pieces.map(({ level }) => (level % 2 === 1 ? level : level + 1))
+  );
+  for (let level = maxLevel; level >= minOddLevel; level--) {
+    for (let start = 0; start < pieces.length; start++) {
+      if (pieces[start].level < level) continue;
+      let end = start;
+      while (end + 1 < pieces.length && pieces[end + 1].level >= level) end++;
+      pieces.splice(
+        start,
+        end - start + 1,
+        ...pieces.slice(start, end + 1).reverse()
+      );
+      start = end;
+    }
+  }
+
+  return pieces.map(({ level, ...piece }) => piece);
+};
@@ -0,0 +1,521 @@
+import { parseColor, withColor } from "./color.mjs";
+import { cssLengthToUnits } from "./units.mjs";
+
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+/**
+ * @typedef {{ x: number, y: number }} Point
+ */
+
+/**
+ * Horizontal and vertical radius of each corner, clockwise from the top
+ * left one
+ * @typedef {[Point, Point, Point, Point]} Radii
+ */
+
+/**
+ * @typedef {Object} BorderSide
+ * @property {number} width - Width in PDF units, 0 without a border
+ * @property {string} style - CSS border style
+ * @property {string} color - CSS color
+ */
+
+/**
+ * Border widths of a box in PDF units
+ * @typedef {{ top: number, right: number, bottom: number, left: number }} Widths
+ */
+
+const SIDES = /** @type {const} */ (["Top", "Right", "Bottom", "Left"]);
+const CORNERS = /** @type {const} */ ([
+  "TopLeft",
+  "TopRight",
+  "BottomRight",
+  "BottomLeft",
+]);
+
+/** Distance of the control points of a Bézier curve for a quarter ellipse */
+const KAPPA = 0.5522847498;
+
+/** Layers a blurred shadow is approximated with */
+const SHADOW_LAYERS = 4;
+
+/**
+ * Get the border of each side. Sides without a visible style have no width,
+ * as in CSS.
+ * @param {Object} style - Computed style of the element
+ * @param {number} scaleFactor - Points per PDF unit
+ * @returns {BorderSide[]} Top, right, bottom and left sides
+ */
+export const getBorderSides = (style, scaleFactor) =>
+  SIDES.map((side) => {
+    const borderStyle = style[`border${side}Style`] || "none";
+    const visible = borderStyle !== "none" && borderStyle !== "hidden";
+    return {
+      width: visible
+        ? Math.max(
+            cssLengthToUnits(style[`border${side}Width`], scaleFactor) ?? 0,
+            0
+          )
+        : 0,
+      style: borderStyle,
+      color: style[`border${side}Color`] || style.color,
+    };
+  });
+
+/**
+ * Expand 1 to 4 values like the `border-radius` shorthand, from the top
+ * left corner clockwise
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+const expandCorners = (values) => {
+  const [topLeft, topRight = topLeft, bottomRight = topLeft] = values;
+  return [topLeft, topRight, bottomRight, values[3] ?? topRight];
+};
+
+/**
+ * Resolve `border-radius` to the radii of each corner. Radii too large
+ * for the box are scaled down together, as in CSS.
+ * @param {Object} style - Computed style of the element
+ * @param {Rect} box - Border box
+ * @param {number} scaleFactor - Points per PDF unit
+ * @returns {Radii}
+ */
+export const getBorderRadii = (style, { width, height }, scaleFactor) => {
+  // jsdom keeps the shorthand but doesn't expand it
+  const [horizontal = "", vertical] = String(style.borderRadius ?? "").split(
+    "/"
+  );
+  const horizontalValues = expandCorners(horizontal.trim().split(/\s+/));
+  const verticalValues = vertical
+    ? expandCorners(vertical.trim().split(/\s+/))
+    : horizontalValues;
+
+  const toUnits = (/** @type {string} */ value, /** @type {number} */ size) =>
+    value.endsWith("%")
+      ? (parseFloat(value) * size) / 100
+      : (cssLengthToUnits(value, scaleFactor) ?? 0);
+
+  const radii = /** @type {Radii} */ (
+    CORNERS.map((corner, index) => {
+      const [x = horizontalValues[index], y = x] = String(
+        style[`border${corner}Radius`] || ""
+      )
+        .split(/\s+/)
+        .filter(Boolean);
+      const ownY = style[`border${corner}Radius`] ? y : verticalValues[index];
+      return {
+        x: Math.max(toUnits(x, width), 0),
+        y: Math.max(toUnits(ownY, height), 0),
+      };
+    })
+  );
+
+  const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+  const fit = (/** @type {number} */ size, /** @type {number} */ sum) =>
+    sum > 0 ? size / sum : 1;
+  const scale = Math.min(
+    1,
+    fit(width, topLeft.x + topRight.x),
+    fit(width, bottomLeft.x + bottomRight.x),
+    fit(height, topLeft.y + bottomLeft.y),
+    fit(height, topRight.y + bottomRight.y)
+  );
+  return /** @type {Radii} */ (
+    radii.map(({ x, y }) => ({ x: x * scale, y: y * scale }))
+  );
+};
+
+/**
+ * Move the edges of a box and its corners inwards, or outwards for
+ * negative amounts
+ * @param {Rect} box
+ * @param {Radii} radii
+ * @param {Widths} inset - How far each edge moves
+ * @returns {{ box: Rect, radii: Radii }}
+ */
+const insetBox = (box, radii, inset) => {
+  const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+  const corner = (
+    /** @type {Point} */ radius,
+    /** @type {number} */ dx,
+    /** @type {number} */ dy
+  ) =>
+    radius.x > 0 && radius.y > 0
+      ? { x: Math.max(radius.x - dx, 0), y: Math.max(radius.y - dy, 0) }
+      : { x: 0, y: 0 };
+  return {
+    box: {
+      x: box.x + inset.left,
+      y: box.y + inset.top,
+      width: box.width - inset.left - inset.right,
+      height: box.height - inset.top - inset.bottom,
+    },
+    radii: [
+      corner(topLeft, inset.left, inset.top),
+      corner(topRight, inset.right, inset.top),
+      corner(bottomRight, inset.right, inset.bottom),
+      corner(bottomLeft, inset.left, inset.bottom),
+    ],
+  };
+};
+
+/**
+ * Get the Bézier curve of each corner, clockwise from the end of the top
+ * edge at the top left. Square corners are curves of length 0.
+ * @param {Rect} box
+ * @param {Radii} radii
+ * @returns {Point[][]} Start, two control points and end of each curve
+ */
+const getCornerCurves = ({ x, y, width, height }, radii) => {
+  const right = x + width;
+  const bottom = y + height;
+  const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+  /** @type {[Point, Point, Point][]} */
+  const corners = [
+    [
+      { x, y: y + topLeft.y },
+      { x, y },
+      { x: x + topLeft.x, y },
+    ],
+    [
+      { x: right - topRight.x, y },
+      { x: right, y },
+      { x: right, y: y + topRight.y },
+    ],
+    [
+      { x: right, y: bottom - bottomRight.y },
+      { x: right, y: bottom },
+      { x: right - bottomRight.x, y: bottom },
+    ],
+    [
+      { x: x + bottomLeft.x, y: bottom },
+      { x, y: bottom },
+      { x, y: bottom - bottomLeft.y },
+    ],
+  ];
+  return corners.map(([start, corner, end]) => [
+    start,
+    {
+      x: start.x + KAPPA * (corner.x - start.x),
+      y: start.y + KAPPA * (corner.y - start.y),
+    },
+    {
+      x: end.x + KAPPA * (corner.x - end.x),
+      y: end.y + KAPPA * (corner.y - end.y),
+    },
+    end,
+  ]);
+};
+
+/**
+ * Split a Bézier curve in two halves
+ * @param {Point[]} curve - Start, two control points and end
+ * @returns {[Point[], Point[]]}
+ */
+const splitCurve = ([p0, p1, p2, p3]) => {
+  const mid = (/** @type {Point} */ a, /** @type {Point} */ b) => ({
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+  });
+  const p01 = mid(p0, p1);
+  const p12 = mid(p1, p2);
+  const p23 = mid(p2, p3);
+  const p012 = mid(p01, p12);
+  const p123 = mid(p12, p23);
+  const center = mid(p012, p123);
+  return [
+    [p0, p01, p012, center],
+    [center, p123, p23, p3],
+  ];
+};
+
+/**
+ * Add a curve to the current path
+ * @param {jsPDF} pdf
+ * @param {Point[]} curve - Start, two control points and end
+ */
+const curveTo = (pdf, [, c1, c2, end]) => {
+  pdf.curveTo(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
+};
+
+/**
+ * Trace the outline of a box with rounded corners as the current path
+ * @param {jsPDF} pdf
+ * @param {Rect} box
+ * @param {Radii} radii
+ */
+const traceRoundedRect = (pdf, box, radii) => {
+  const curves = getCornerCurves(box, radii);
+  pdf.moveTo(curves[0][3].x, curves[0][3].y);
+  for (const curve of [...curves.slice(1), curves[0]]) {
+    pdf.lineTo(curve[0].x, curve[0].y);
+    curveTo(pdf, curve);
+  }
+  pdf.close();
+};
+
+/**
+ * Fill a box, with rounded corners if it has any
+ * @param {jsPDF} pdf
+ * @param {Rect} box
+ * @param {Radii} radii
+ */
+const fillBox = (pdf, box, radii) => {
+  if (box.width <= 0 || box.height <= 0) return;
+  if (radii.every(({ x, y }) => x === 0 || y === 0)) {
+    pdf.rect(box.x, box.y, box.width, box.height, "F");
+    return;
+  }
+  traceRoundedRect(pdf, box, radii);
+  pdf.fill();
+};
+
+/**
+ * Set the dash pattern and line cap of a border style
+ * @param {jsPDF} pdf
+ * @param {string} style - CSS border style
+ * @param {number} lineWidth - Width of the line
+ */
+export const setBorderDash = (pdf, style, lineWidth) => {
+  if (style === "dashed") {
+    pdf.setLineDashPattern([lineWidth * 3, lineWidth * 2], 0);
+  } else if (style === "dotted") {
+    // Dashes of length 0 with round caps are dots
+    pdf.setLineCap("round");
+    pdf.setLineDashPattern([0, lineWidth * 2], 0);
+  }
+};
+
+/**
+ * Undo `setBorderDash`
+ * @param {jsPDF} pdf
+ */
+export const resetBorderDash = (pdf) => {
+  pdf.setLineDashPattern([], 0);
+  pdf.setLineCap("butt");
+};
+
+/**
+ * Lines a border style is drawn with, as fractions of the border width:
+ * where the middle of each line is, measured from the outer edge, and how
+ * wide it is. Styles other than double are drawn as one solid line.
+ * @param {string} style - CSS border style
+ * @returns {{ offset: number, width: number }[]}
+ */
+const getBorderLines = (style) =>
+  style === "double"
+    ? [
+        { offset: 1 / 6, width: 1 / 3 },
+        { offset: 5 / 6, width: 1 / 3 },
+      ]
+    : [{ offset: 1 / 2, width: 1 }];
+
+/**
+ * Draw the border of a box. When all sides look the same the border is one
+ * path, otherwise each side is drawn on its own and rounded corners are
+ * split between the sides that meet there.
+ * @param {jsPDF} pdf
+ * @param {Rect} box - Border box
+ * @param {Radii} radii - Radii of the outer edge
+ * @param {BorderSide[]} sides - Top, right, bottom and left sides
+ */
+export const drawBorder = (pdf, box, radii, sides) => {
+  const [top] = sides;
+  const uniform = sides.every(
+    (side) =>
+      side.width === top.width &&
+      side.style === top.style &&
+      side.color === top.color
+  );
+
+  if (uniform) {
+    if (top.width === 0) return;
+    for (const line of getBorderLines(top.style)) {
+      const inset = top.width * line.offset;
+      const lineWidth = top.width * line.width;
+      const path = insetBox(box, radii, {
+        top: inset,
+        right: inset,
+        bottom: inset,
+        left: inset,
+      });
+      withColor(pdf, top.color, "draw", () => {
+        pdf.setLineWidth(lineWidth);
+        setBorderDash(pdf, top.style, lineWidth);
+        traceRoundedRect(pdf, path.box, path.radii);
+        pdf.stroke();
+        resetBorderDash(pdf);
+      });
+    }
+    return;
+  }
+
+  sides.forEach((side, index) => {
+    if (side.width === 0) return;
+    for (const line of getBorderLines(side.style)) {
+      const lineWidth = side.width * line.width;
+      const [topWidth, rightWidth, bottomWidth, leftWidth] = sides.map(
+        ({ width }) => width * line.offset
+      );
+      const path = insetBox(box, radii, {
+        top: topWidth,
+        right: rightWidth,
+        bottom: bottomWidth,
+        left: leftWidth,
+      });
+      const curves = getCornerCurves(path.box, path.radii);
+      // The side runs from the middle of the corner before it to the
+      // middle of the corner after it. Square corners are filled by
+      // running the side on to the outer edge.
+      const [, startCurve] = splitCurve(curves[index]);
+      const [endCurve] = splitCurve(curves[(index + 1) % 4]);
+      const start = extendToEdge(startCurve[3], box, index, radii[index], -1);
+      const end = extendToEdge(
+        endCurve[0],
+        box,
+        index,
+        radii[(index + 1) % 4],
+        1
+      );
+
+      withColor(pdf, side.color, "draw", () => {
+        pdf.setLineWidth(lineWidth);
+        setBorderDash(pdf, side.style, lineWidth);
+        if (isRounded(radii[index])) {
+          pdf.moveTo(startCurve[0].x, startCurve[0].y);
+          curveTo(pdf, startCurve);
+        } else {
+          pdf.moveTo(start.x, start.y);
+        }
+        pdf.lineTo(end.x, end.y);
+        if (isRounded(radii[(index + 1) % 4])) curveTo(pdf, endCurve);
+        pdf.stroke();
+        resetBorderDash(pdf);
+      });
+    }
+  });
+};
+
+/**
+ * @param {Point} radius
+ * @returns {boolean}
+ */
+const isRounded = (radius) => radius.x > 0 && radius.y > 0;
+
+/**
+ * Move the end of a side at a square corner on to the outer edge of the
+ * box, so the sides that meet there cover the corner
+ * @param {Point} point - End of the side on the inset path
+ * @param {Rect} box - Border box
+ * @param {number} side - 0 for top, 1 for right, 2 for bottom, 3 for left
+ * @param {Point} radius - Radius of the corner
+ * @param {-1 | 1} direction - -1 for the start of the side, 1 for its end
+ * @returns {Point}
+ */
+const extendToEdge = (point, box, side, radius, direction) => {
+  if (isRounded(radius)) return point;
+  const right = box.x + box.width;
+  const bottom = box.y + box.height;
+  switch (side) {
+    case 0:
+      return { x: direction < 0 ? box.x : right, y: point.y };
+    case 1:
+      return { x: point.x, y: direction < 0 ? box.y : bottom };
+    case 2:
+      return { x: direction < 0 ? right : box.x, y: point.y };
+    default:
+      return { x: point.x, y: direction < 0 ? bottom : box.y };
+  }
+};
+
+/**
+ * Split a CSS list on commas that aren't inside parentheses
+ * @param {string} value
+ * @returns {string[]}
+ */
+const splitList = (value) => value.match(/(?:[^,(]|\([^)]*\))+/g) ?? [];
+
+/**
+ * Draw the outer shadows of `box-shadow` as fills offset from the box.
+ * Blurred shadows are approximated with a few layers that grow and fade.
+ * Inset shadows aren't drawn.
+ * @param {jsPDF} pdf
+ * @param {Rect} box - Border box
+ * @param {Radii} radii - Radii of the border box
+ * @param {Object} style - Computed style of the element
+ * @param {number} scaleFactor - Points per PDF unit
+ */
+export const drawBoxShadow = (pdf, box, radii, style, scaleFactor) => {
+  const value = String(style.boxShadow ?? "").trim();
+  if (!value || value === "none") return;
+
+  // Shadows only show outside the box, even under a translucent background
+  pdf.saveGraphicsState();
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  pdf.moveTo(0, 0);
+  pdf.lineTo(pageWidth, 0);
+  pdf.lineTo(pageWidth, pageHeight);
+  pdf.lineTo(0, pageHeight);
+  pdf.close();
+  traceRoundedRect(pdf, box, radii);
+  pdf.clipEvenOdd();
+  pdf.discardPath();
+
+  // The first shadow is on top
+  for (const shadow of splitList(value).reverse()) {
+    const tokens = shadow.match(/[a-z-]+\([^)]*\)|\S+/gi) ?? [];
+    if (tokens.some((token) => token.toLowerCase() === "inset")) continue;
+    const lengths = tokens
+      .map((token) => cssLengthToUnits(token, scaleFactor))
+      .filter((length) => length !== null);
+    const color =
+      tokens.find((token) => parseColor(token, style.color)) ?? style.color;
+    if (lengths.length < 2) continue;
+    const [offsetX, offsetY, blur = 0, spread = 0] = lengths;
+
+    const { r, g, b, a } = parseColor(color, style.color) ?? {
+      r: 0,
+      g: 0,
+      b: 0,
+      a: 1,
+    };
+    const layers = blur > 0 ? SHADOW_LAYERS : 1;
+    const layerColor = `rgba(${r}, ${g}, ${b}, ${a / layers})`;
+    for (let layer = 0; layer < layers; layer++) {
+      // Layers reach from the outer edge of the blur to its inner edge
+      const grow = spread + (blur / 2) * (1 - (2 * layer) / layers);
+      const shape = insetBox(
+        { ...box, x: box.x + offsetX, y: box.y + offsetY },
+        radii,
+        { top: -grow, right: -grow, bottom: -grow, left: -grow }
+      );
+      withColor(pdf, layerColor, "fill", () => {
+        fillBox(pdf, shape.box, shape.radii);
+      });
+    }
+  }
+  pdf.restoreGraphicsState();
+};
+
+/**
+ * Fill the background color of a box, under its border as in CSS
+ * @param {jsPDF} pdf
+ * @param {Rect} box - Border box
+ * @param {Radii} radii - Radii of the border box
+ * @param {string} color - CSS background color
+ */
+export const drawBackgroundColor = (pdf, box, radii, color) => {
+  withColor(pdf, color, "fill", () => {
+    fillBox(pdf, box, radii);
+  });
+};
@@ -0,0 +1,35 @@
+/**
+ * Numbering of the lines of a code block as it is rendered
+ * @typedef {Object} LineNumbers
+ * @property {number} next - Number of the next line of code
+ * @property {boolean} lineStart - Whether the next line box starts a line
+ *   of code, instead of continuing one that wraps
+ * @property {number} gap - Space between the numbers and the code in PDF
+ *   units
+ */
+
+/** Color of line numbers, which shouldn't stand out from the code */
+export const LINE_NUMBER_COLOR = "#999";
+
+/**
+ * Get the number of the first line of a code block whose lines are
+ * numbered. As with Prism, the `line-numbers` class on the block or an
+ * ancestor turns numbering on, and `data-start` sets where it starts.
+ * @param {Element} element - `pre` element
+ * @returns {number | null} Number of the first line, or null if the lines
+ *   aren't numbered
+ */
+export const getFirstLineNumber = (element) => {
+  if (!element.closest(".line-numbers")) return null;
+  const start = parseInt(element.getAttribute("data-start") ?? "", 10);
+  return isNaN(start) ? 1 : start;
+};
+
+/**
+ * Count the lines of preformatted text. A newline at the end doesn't start
+ * another line.
+ * @param {string} text
+ * @returns {number}
+ */
+export const countLines = (text) =>
+  text.replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n").length;
@@ -0,0 +1,372 @@
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * @typedef {Object} Color
+ * @property {number} r - Red, 0 to 255
+ * @property {number} g - Green, 0 to 255
+ * @property {number} b - Blue, 0 to 255
+ * @property {number} a - Alpha, 0 for transparent to 1 for opaque
+ */
+
+/**
+ * @typedef {"text" | "fill" | "draw"} ColorType
+ */
+
+/** CSS named colors as hex */
+const namedColors = {
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+};
+
+/** Degrees in one unit of each CSS angle unit */
+const angleUnits = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+/**
+ * Parse a number or a percentage of `percentScale`. `none` counts as 0.
+ * @param {string} text - Number such as "0.5" or "50%"
+ * @param {number} percentScale - Value of 100%
+ * @returns {number} Number, or NaN if the text isn't one
+ */
+const parseNumber = (text, percentScale) => {
+  if (text === "none") return 0;
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/.test(text)) return NaN;
+  const number = parseFloat(text);
+  return text.endsWith("%") ? (number * percentScale) / 100 : number;
+};
+
+/**
+ * Parse a hue in degrees
+ * @param {string} text - Angle such as "120", "120deg" or "0.5turn"
+ * @returns {number} Degrees, or NaN if the text isn't an angle
+ */
+const parseHue = (text) => {
+  const [, number, unit = "deg"] =
+    text.match(/^([+-]?(?:\d+\.?\d*|\.\d+))(deg|grad|rad|turn)?$/) ?? [];
+  if (text === "none") return 0;
+  return number === undefined ? NaN : parseFloat(number) * angleUnits[unit];
+};
+
+/**
+ * Parse hex digits of a color, 3, 4, 6 or 8 of them
+ * @param {string} hex - Digits without the "#"
+ * @returns {Color | null}
+ */
+const parseHex = (hex) => {
+  if (!/^([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(hex)) return null;
+  const digits =
+    hex.length <= 4 ? [...hex].map((digit) => digit + digit) : hex.match(/../g);
+  const [r, g, b, a = 255] = (digits ?? []).map((pair) => parseInt(pair, 16));
+  return { r, g, b, a: a / 255 };
+};
+
+/**
+ * Convert HSL to RGB
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation, 0 to 1
+ * @param {number} lightness - Lightness, 0 to 1
+ * @returns {[number, number, number]} Red, green and blue, 0 to 255
+ */
+const hslToRgb = (hue, saturation, lightness) => {
+  const chroma = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (/** @type {number} */ n) => {
+    const k = (n + hue / 30) % 12;
+    return 255 * (lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+/**
+ * Parse the arguments of `rgb()`, `rgba()`, `hsl()` or `hsla()`, in the
+ * legacy comma separated syntax or the modern one with `/` before alpha
+ * @param {string} name - Function name
+ * @param {string} args - Text between the parentheses
+ * @returns {Color | null}
+ */
+const parseColorFunction = (name, args) => {
+  const commaSeparated = args.includes(",");
+  const [main, alpha, extra] = commaSeparated ? [args] : args.split("/");
+  if (extra !== undefined) return null;
+  const parts = commaSeparated
+    ? main.split(",").map((part) => part.trim())
+    : main.trim().split(/\s+/);
+  if (parts.length !== 3 && !(commaSeparated && parts.length === 4)) {
+    return null;
+  }
+  const channels = parts.slice(0, 3);
+  const alphaText = commaSeparated ? parts[3] : alpha?.trim();
+
+  const a = alphaText === undefined ? 1 : parseNumber(alphaText, 1);
+  let rgb;
+  if (name.startsWith("rgb")) {
+    rgb = channels.map((channel) => parseNumber(channel, 255));
+  } else {
+    const [hue, saturation, lightness] = channels;
+    rgb = hslToRgb(
+      ((parseHue(hue) % 360) + 360) % 360,
+      Math.min(Math.max(parseNumber(saturation, 100), 0), 100) / 100,
+      Math.min(Math.max(parseNumber(lightness, 100), 0), 100) / 100
+    );
+  }
+  if ([...rgb, a].some(Number.isNaN)) return null;
+
+  const [r, g, b] = rgb.map((value) =>
+    Math.round(Math.min(Math.max(value, 0), 255))
+  );
+  return { r, g, b, a: Math.min(Math.max(a, 0), 1) };
+};
+
+/**
+ * Parse a CSS color: a named color, hex with 3, 4, 6 or 8 digits, `rgb()`
+ * or `hsl()` in legacy or modern syntax, `transparent` or `currentColor`
+ * @param {string | null | undefined} value - CSS color
+ * @param {string} [currentColor] - Value of `color` for `currentColor`
+ * @returns {Color | null} Color, or null if the value isn't one
+ */
+export const parseColor = (value, currentColor) => {
+  const color = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (color === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+  if (color === "currentcolor") {
+    return currentColor ? parseColor(currentColor) : null;
+  }
+  if (color in namedColors) return parseHex(namedColors[color]);
+  if (color.startsWith("#")) return parseHex(color.slice(1));
+
+  const match = color.match(/^(rgba?|hsla?)\((.*)\)$/);
+  return match ? parseColorFunction(match[1], match[2]) : null;
+};
+
+/**
+ * Write a color in the legacy `rgba()` syntax every CSS parser knows
+ * @param {Color | null} color
+ * @returns {string | null}
+ */
+const formatColor = (color) =>
+  color && `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`;
+
+/**
+ * Rewrite `rgb()` and `hsl()` colors in CSS declarations to the legacy
+ * `rgba()` syntax. jsdom drops declarations with colors it can't parse,
+ * such as `hsl()` with spaces, along with the rest of a shorthand.
+ * @param {string} cssText - Declarations, as in a style attribute
+ * @returns {string}
+ */
+export const normalizeColorSyntax = (cssText) =>
+  cssText.replace(
+    /\b(rgba?|hsla?)\([^()]*\)/gi,
+    (color) => formatColor(parseColor(color)) ?? color
+  );
+
+/** Properties that take a color, other than `color` itself */
+const colorProperties = [
+  "backgroundColor",
+  "borderTopColor",
+  "borderRightColor",
+  "borderBottomColor",
+  "borderLeftColor",
+];
+
+/**
+ * Resolve `currentColor`, which jsdom leaves as it is
+ * @param {Object} style - Computed style of an element, updated in place
+ * @param {Object} parentStyle - Style of the parent, already resolved
+ */
+export const resolveCurrentColor = (style, parentStyle) => {
+  const isCurrentColor = (/** @type {unknown} */ value) =>
+    /^currentcolor$/i.test(String(value ?? "").trim());
+
+  if (isCurrentColor(style.color) && parentStyle.color) {
+    style.color = parentStyle.color;
+  }
+  for (const property of colorProperties) {
+    if (isCurrentColor(style[property])) style[property] = style.color;
+  }
+};
+
+/**
+ * Whether a CSS color draws anything
+ * @param {string | null | undefined} value - CSS color
+ * @returns {boolean}
+ */
+export const isVisibleColor = (value) => (parseColor(value)?.a ?? 0) > 0;
+
+/**
+ * Draw with a CSS color. Alpha becomes the opacity of what is drawn, and
+ * nothing is drawn with a transparent color.
+ * @param {jsPDF} pdf - PDF document
+ * @param {string | null | undefined} value - CSS color, black if invalid
+ * @param {ColorType} type - Whether the color is for text, fills or lines
+ * @param {() => void} draw - Draws with the color
+ */
+export const withColor = (pdf, value, type, draw) => {
+  const { r, g, b, a } = parseColor(value) ?? BLACK;
+  if (a === 0) return;
+
+  if (type === "text") {
+    pdf.setTextColor(r, g, b);
+  } else if (type === "fill") {
+    pdf.setFillColor(r, g, b);
+  } else {
+    pdf.setDrawColor(r, g, b);
+  }
+  if (a === 1) {
+    draw();
+    return;
+  }
+
+  pdf.saveGraphicsState();
+  pdf.setGState(
+    new pdf.GState(type === "draw" ? { "stroke-opacity": a } : { opacity: a })
+  );
+  draw();
+  pdf.restoreGraphicsState();
+};
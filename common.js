@@ -20,15 +20,31 @@ export function getStringWidth(text, styles, doc) {
 }
 
 /**
-@type {{ top: number right: number bottom: number left: number }} MarginPadding
+@typedef {{ top: number, right: number, bottom: number, left: number }} MarginPadding
 */
 
 /**
-@param {string} value
+@param {string|number|number[]|Partial<MarginPadding>} value
+@param {number} [defaultValue=0]
 @returns {MarginPadding}
 */
-export function parseSpacing(value) {
-  const items = value.split(/\s+/);
+export function parseSpacing(value, defaultValue = 0) {
+  if (value == null || value === "") {
+    value = defaultValue;
+  }
+  if (typeof value === "object" && !Array.isArray(value)) {
+    return {
+      top: value.top ?? defaultValue,
+      right: value.right ?? defaultValue,
+      bottom: value.bottom ?? defaultValue,
+      left: value.left ?? defaultValue,
+    };
+  }
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === "number"
+      ? [value]
+      : value.trim().split(/\s+/);
   if (items.length >= 4) {
     return {
       top: items[0],
@@ -67,7 +83,12 @@ export function parseSpacing(value) {
   }
 }
 
+/**
+ * @param {jsPDF} doc
+ * @param {string|number|number[]|Partial<MarginPadding>} margins
+ * @returns {number}
+ */
 export function getPageAvailableWidth(doc, margins) {
-  const margins = parseSpacing(table.settings.margin, 0);
-  return doc.pageSize().width - (margins.left + margins.right);
+  const { left, right } = parseSpacing(margins, 0);
+  return doc.internal.pageSize.getWidth() - (left + right);
 }
@@ -5,14 +5,5 @@ export const NODE_TYPE = {
   COMMENT_NODE: 8,
 };
 
-export const tagNameToFontSize = {
-  H1: 32,
-  H2: 24,
-  H3: 18,
-  H4: 16,
-  H5: 13,
-  H6: 10,
-  P: 16,
-};
-
-export const GAP = 20;
+/** Font size of text the stylesheets don't size, in CSS pixels */
+export const DEFAULT_FONT_SIZE = 16;
@@ -1,69 +1,74 @@
 /** @import {DOMWindow} from 'jsdom' */
-/** @import {Styles} from 'jspdf' */
+/** @import {Styles} from 'jspdf-autotable' */
+/** @import {MarginPadding} from './common.js' */
+/** @import {Color} from './color.mjs' */
 
-import { parseSpacing } from './common'
+import { parseColor as parseCssColor } from './color.mjs'
+import { parseSpacing } from './common.js'
 
+/** @typedef {[number, number, number]} RgbColor */
 
+/**
+ * Cell styles, with the opacity of colors that aren't opaque. autotable
+ * keeps these keys but doesn't use them, so they are applied when the cell
+ * is drawn.
+ * @typedef {Partial<Styles> & {
+ *   fillOpacity?: number,
+ *   textOpacity?: number,
+ *   lineOpacity?: number,
+ * }} CellStyles
+ */
 
 /**
  * @param {string} style
  * @returns {Partial<CSSStyleDeclaration>}
  */
 export function parseStyleAttribute(style) {
-    return style.split(";").reduce((result, item) => {
-        if (!item) {
-            return result
-        }
-        /** @type {[string, string]} */
-        const pair = item.split(":")
-        if (pair.length === 2 && pair[0] && pair[1]) {
-            result[pair[0].strip()] = pair[1].strip()
-            }
-        return result
-    }, {})
+  return style.split(';').reduce((result, item) => {
+    if (!item) {
+      return result
+    }
+    /** @type {string[]} */
+    const pair = item.split(':')
+    if (pair.length === 2 && pair[0] && pair[1]) {
+      result[pair[0].trim()] = pair[1].trim()
+    }
+    return result
+  }, {})
 }
 
 /**
  * @param {string[]} supportedFonts
  * @param {Element} element
  * @param {number} scaleFactor
- * @param {CSSStyleDeclaration} style
  * @param {DOMWindow} window
- * @returns {Partial<Styles>}
+ * @returns {CellStyles}
  */
-
-export function parseCss(
-  supportedFonts,
-  element,
-  scaleFactor,
-  window,
-) {
-
-  /** @type Partial<Styles> */
+export function parseCss(supportedFonts, element, scaleFactor, window) {
+  /** @type {CellStyles} */
   const result = {}
 
   const pxScaleFactor = 96 / 72
 
   const style = window.getComputedStyle(element)
 
-  const backgroundColor = parseColor(element, (elem) => {
-    return window.getComputedStyle(elem)['backgroundColor']
-  })
-  if (backgroundColor != null) result.fillColor = backgroundColor
+  const backgroundColor = parseColor(element, 'backgroundColor', window)
+  if (backgroundColor != null) {
+    result.fillColor = toRgb(backgroundColor)
+    if (backgroundColor.a < 1) result.fillOpacity = backgroundColor.a
+  }
 
-  const textColor = parseColor(element, (elem) => {
-    return window.getComputedStyle(elem)['color']
-  })
-  if (textColor != null) result.textColor = textColor
+  const textColor = parseColor(element, 'color', window)
+  if (textColor != null) {
+    result.textColor = toRgb(textColor)
+    if (textColor.a < 1) result.textOpacity = textColor.a
+  }
 
   const padding = parsePadding(style, scaleFactor)
   if (padding) result.cellPadding = padding
 
-  let borderColorSide:
-    | 'borderTopColor'
-    | 'borderRightColor'
-    | 'borderBottomColor'
-    | 'borderLeftColor' = 'borderTopColor'
+  /** @type {'borderTopColor' | 'borderRightColor' | 'borderBottomColor' | 'borderLeftColor'} */
+  let borderColorSide = 'borderTopColor'
 
   const finalScaleFactor = pxScaleFactor * scaleFactor
   const btw = style.borderTopWidth
@@ -94,18 +99,23 @@ export function parseCss(
     }
   }
 
-  const borderColor = parseColor(element, (elem) => {
-    return window.getComputedStyle(elem)[borderColorSide]
-  })
-  if (borderColor != null) result.lineColor = borderColor
+  const borderColor = parseColor(element, borderColorSide, window)
+  if (borderColor != null) {
+    result.lineColor = toRgb(borderColor)
+    if (borderColor.a < 1) result.lineOpacity = borderColor.a
+  }
 
   let accepted = ['left', 'right', 'center', 'justify']
   if (accepted.indexOf(style.textAlign) !== -1) {
-    result.halign = style.textAlign as 'left' | 'right' | 'center' | 'justify'
+    result.halign = /** @type {'left' | 'right' | 'center' | 'justify'} */ (
+      style.textAlign
+    )
   }
   accepted = ['middle', 'bottom', 'top']
   if (accepted.indexOf(style.verticalAlign) !== -1) {
-    result.valign = style.verticalAlign as 'middle' | 'bottom' | 'top'
+    result.valign = /** @type {'middle' | 'bottom' | 'top'} */ (
+      style.verticalAlign
+    )
   }
   const res = parseInt(style.fontSize || '')
   if (!isNaN(res)) result.fontSize = res / pxScaleFactor
@@ -120,9 +130,11 @@ export function parseCss(
   return result
 }
 
-function parseFontStyle(
-  style: CSSStyleDeclaration,
-): '' | 'bold' | 'italic' | 'bolditalic' {
+/**
+ * @param {CSSStyleDeclaration} style
+ * @returns {'' | 'bold' | 'italic' | 'bolditalic'}
+ */
+function parseFontStyle(style) {
   let res = ''
   if (
     style.fontWeight === 'bold' ||
@@ -134,62 +146,40 @@ function parseFontStyle(
   if (style.fontStyle === 'italic' || style.fontStyle === 'oblique') {
     res += 'italic'
   }
-  return res as '' | 'bold' | 'italic' | 'bolditalic'
+  return /** @type {'' | 'bold' | 'italic' | 'bolditalic'} */ (res)
 }
 
-type RgbColor = [number, number, number]
-function parseColor(
-  element: Element,
-  styleGetter: (elem: Element) => string,
-): RgbColor | null {
-  const cssColor = realColor(element, styleGetter)
-  if (!cssColor) return null
-
-  const rgba = cssColor.match(
-    /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*(\d*\.?\d*))?\)$/,
-  )
-  if (!rgba || !Array.isArray(rgba)) {
-    return null
-  }
-
-  const color: RgbColor = [
-    parseInt(rgba[1]),
-    parseInt(rgba[2]),
-    parseInt(rgba[3]),
-  ]
-  const alpha = parseInt(rgba[4])
-
-  if (alpha === 0 || isNaN(color[0]) || isNaN(color[1]) || isNaN(color[2])) {
-    return null
-  }
+/**
+ * Get a color of an element, or of the closest ancestor where it isn't
+ * transparent
+ * @param {Element} element
+ * @param {'color' | 'backgroundColor' | 'borderTopColor' | 'borderRightColor' | 'borderBottomColor' | 'borderLeftColor'} property
+ * @param {DOMWindow} window
+ * @returns {Color | null}
+ */
+function parseColor(element, property, window) {
+  const style = window.getComputedStyle(element)
+  const color = parseCssColor(style[property], style.color)
+  if (color && color.a > 0) return color
 
-  return color
+  if (element.parentElement == null) return null
+  return parseColor(element.parentElement, property, window)
 }
 
-function realColor(
-  elem: Element,
-  styleGetter: (elem: Element) => string,
-): string | null {
-  const bg = styleGetter(elem)
-  if (
-    bg === 'rgba(0, 0, 0, 0)' ||
-    bg === 'transparent' ||
-    bg === 'initial' ||
-    bg === 'inherit'
-  ) {
-    if (elem.parentElement == null) {
-      return null
-    }
-    return realColor(elem.parentElement, styleGetter)
-  } else {
-    return bg
-  }
+/**
+ * @param {Color} color
+ * @returns {RgbColor}
+ */
+function toRgb({ r, g, b }) {
+  return [r, g, b]
 }
 
-function parsePadding(
-  style: CSSStyleDeclaration,
-  scaleFactor: number,
-): null | MarginPadding {
+/**
+ * @param {CSSStyleDeclaration} style
+ * @param {number} scaleFactor
+ * @returns {null | MarginPadding}
+ */
+function parsePadding(style, scaleFactor) {
   const val = [
     style.paddingTop,
     style.paddingRight,
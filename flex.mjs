@@ -0,0 +1,319 @@
+import { resolveLength } from "./units.mjs";
+
+/** @import {LengthContext} from './units.mjs' */
+
+/**
+ * @typedef {Object} FlexContainer
+ * @property {"row" | "row-reverse" | "column" | "column-reverse"} direction
+ *   Main axis and the order items are placed along it
+ * @property {boolean} wrap - Whether items may wrap onto more lines
+ * @property {number} rowGap - Space between lines of a row container, or
+ *   between items of a column container, in PDF units
+ * @property {number} columnGap - Space between items of a row container, in
+ *   PDF units
+ * @property {string} justifyContent - CSS justify-content
+ * @property {string} alignItems - CSS align-items
+ */
+
+/**
+ * Flexibility of an item, from `flex` or its longhands
+ * @typedef {Object} FlexFactors
+ * @property {number} grow - Share of free space the item takes
+ * @property {number} shrink - Share of missing space the item gives up
+ * @property {string} basis - CSS flex-basis
+ */
+
+/**
+ * Item of a flex line, with sizes along the main axis in PDF units
+ * @typedef {Object} FlexItem
+ * @property {number} base - Flex base size
+ * @property {number} min - Smallest size the item may shrink to
+ * @property {number} max - Largest size the item may grow to
+ * @property {number} extra - Margins, borders and padding around the size
+ * @property {number} grow - Flex grow factor
+ * @property {number} shrink - Flex shrink factor
+ */
+
+/**
+ * Split a CSS value on spaces
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+const splitValue = (value) =>
+  String(value ?? "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Read the space between the rows and the columns of a flex or grid
+ * container. jsdom keeps `gap` as written instead of expanding it.
+ * Percentages of the row gap are of the container height, which follows
+ * from its content, so they count as 0.
+ * @param {Object} style - Computed style of the container
+ * @param {number} scaleFactor - Points per PDF unit
+ * @param {LengthContext} context - Font sizes of the container, and its
+ *   inline size as the base of column gap percentages
+ * @returns {{ rowGap: number, columnGap: number }} Gaps in PDF units
+ */
+export const getGaps = (style, scaleFactor, context) => {
+  const [rowGap = "0", columnGap = rowGap] = splitValue(style.gap);
+  const toUnits = (
+    /** @type {string} */ value,
+    /** @type {number | null} */ percentBase
+  ) =>
+    Math.max(
+      resolveLength(value, scaleFactor, { ...context, percentBase }) ?? 0,
+      0
+    );
+  return {
+    rowGap: toUnits(style.rowGap || rowGap, null),
+    columnGap: toUnits(
+      style.columnGap || columnGap,
+      context.percentBase ?? null
+    ),
+  };
+};
+
+/**
+ * Read the flex container properties of a style. jsdom keeps `flex-flow`
+ * as written instead of expanding it.
+ * @param {Object} style - Computed style of the container
+ * @param {number} scaleFactor - Points per PDF unit
+ * @param {LengthContext} context - Font sizes and inline size of the
+ *   container, for the gaps
+ * @returns {FlexContainer}
+ */
+export const getFlexContainer = (style, scaleFactor, context) => {
+  const flow = splitValue(style.flexFlow);
+  const direction =
+    style.flexDirection ||
+    flow.find((value) => value.startsWith("row") || value.startsWith("column"));
+  const wrap = style.flexWrap || flow.find((value) => value.includes("wrap"));
+
+  return {
+    direction: /** @type {FlexContainer["direction"]} */ (direction || "row"),
+    wrap: wrap === "wrap" || wrap === "wrap-reverse",
+    ...getGaps(style, scaleFactor, context),
+    justifyContent: style.justifyContent || "flex-start",
+    alignItems: style.alignItems || "stretch",
+  };
+};
+
+/**
+ * Read the flex factors of an item. jsdom rebuilds `flex` from the
+ * longhands, but leaves out the values the shorthand implies.
+ * @param {Object} style - Computed style of the item
+ * @returns {FlexFactors}
+ */
+export const getFlexFactors = (style) => {
+  const flex = String(style.flex ?? "").trim();
+  if (flex === "none") return { grow: 0, shrink: 0, basis: "auto" };
+  if (flex === "auto") return { grow: 1, shrink: 1, basis: "auto" };
+  if (!flex || flex === "initial") {
+    return {
+      grow: parseFloat(style.flexGrow) || 0,
+      shrink: style.flexShrink ? parseFloat(style.flexShrink) : 1,
+      basis: style.flexBasis || "auto",
+    };
+  }
+
+  // Numbers are the grow and shrink factors, anything else is the basis
+  const numbers = [];
+  let basis = "0%";
+  for (const value of splitValue(flex)) {
+    if (/^[\d.]+$/.test(value)) {
+      numbers.push(parseFloat(value));
+    } else {
+      basis = value;
+    }
+  }
+  const [grow = 1, shrink = 1] = numbers;
+  return { grow, shrink, basis };
+};
+
+/**
+ * Get how an item is aligned on the cross axis
+ * @param {Object} style - Computed style of the item
+ * @param {FlexContainer} container
+ * @returns {string} CSS align-self value other than auto
+ */
+export const getAlignSelf = (style, container) => {
+  const align =
+    !style.alignSelf || style.alignSelf === "auto"
+      ? container.alignItems
+      : style.alignSelf;
+  return align === "normal" ? "stretch" : align;
+};
+
+/**
+ * @param {FlexItem} item
+ * @returns {number} Base size clamped by the item's min and max sizes
+ */
+const getHypotheticalSize = ({ base, min, max }) =>
+  Math.max(min, Math.min(base, max));
+
+/**
+ * Collect items into flex lines, starting a new line when the next item
+ * doesn't fit
+ * @param {FlexItem[]} items
+ * @param {number} available - Main size of the container
+ * @param {number} gap - Space between items
+ * @param {boolean} wrap - Whether items may wrap
+ * @returns {number[][]} Indexes of the items of each line
+ */
+export const collectFlexLines = (items, available, gap, wrap) => {
+  /** @type {number[][]} */
+  const lines = [];
+  let line = [];
+  let used = 0;
+  items.forEach((item, index) => {
+    const size = getHypotheticalSize(item) + item.extra;
+    if (wrap && line.length > 0 && used + gap + size > available) {
+      lines.push(line);
+      line = [];
+      used = 0;
+    }
+    used += (line.length > 0 ? gap : 0) + size;
+    line.push(index);
+  });
+  if (line.length > 0) lines.push(line);
+  return lines;
+};
+
+/**
+ * Grow or shrink the items of a line to fill it, as in the CSS flexbox
+ * algorithm: space is shared out by the flex factors, and items that hit
+ * their min or max size are frozen there until the rest fits.
+ * @param {FlexItem[]} items - Items of one line
+ * @param {number} available - Main size of the container
+ * @param {number} gap - Space between items
+ * @returns {number[]} Main size of each item, without `extra`
+ */
+export const resolveFlexibleLengths = (items, available, gap) => {
+  const space = available - gap * Math.max(items.length - 1, 0);
+  const hypothetical = items.map(getHypotheticalSize);
+  const growing =
+    hypothetical.reduce(
+      (sum, size, index) => sum + size + items[index].extra,
+      0
+    ) < space;
+
+  const sizes = [...hypothetical];
+  const frozen = items.map(
+    (item, index) =>
+      (growing ? item.grow : item.shrink) === 0 ||
+      (growing
+        ? item.base > hypothetical[index]
+        : item.base < hypothetical[index])
+  );
+
+  /** @returns {number} Space left over with the current sizes */
+  const getFreeSpace = () =>
+    items.reduce(
+      (free, item, index) =>
+        free - item.extra - (frozen[index] ? sizes[index] : item.base),
+      space
+    );
+  const initialFree = getFreeSpace();
+
+  while (frozen.includes(false)) {
+    const open = items.flatMap((item, index) => (frozen[index] ? [] : [index]));
+    let free = getFreeSpace();
+    // Factors adding up to less than 1 only take that part of the space
+    const factorSum = open.reduce(
+      (sum, index) => sum + (growing ? items[index].grow : items[index].shrink),
+      0
+    );
+    if (factorSum < 1 && Math.abs(initialFree * factorSum) < Math.abs(free)) {
+      free = initialFree * factorSum;
+    }
+
+    const scaledShrinkSum = open.reduce(
+      (sum, index) => sum + items[index].shrink * items[index].base,
+      0
+    );
+    let violation = 0;
+    /** @type {number[]} */
+    const violations = [];
+    for (const index of open) {
+      const item = items[index];
+      let target = item.base;
+      if (growing) {
+        target += factorSum > 0 ? (free * item.grow) / factorSum : 0;
+      } else if (scaledShrinkSum > 0) {
+        target += (free * item.shrink * item.base) / scaledShrinkSum;
+      }
+      const clamped = Math.max(item.min, Math.min(target, item.max));
+      sizes[index] = clamped;
+      violations[index] = clamped - target;
+      violation += clamped - target;
+    }
+
+    // Freeze the items that hit a limit in the direction of the total
+    // violation, or every item once nothing is clamped
+    for (const index of open) {
+      if (
+        violation === 0 ||
+        (violation > 0 && violations[index] > 0) ||
+        (violation < 0 && violations[index] < 0)
+      ) {
+        frozen[index] = true;
+      }
+    }
+  }
+  return sizes;
+};
+
+/**
+ * Distribute the free space of a line with `justify-content`
+ * @param {string} justifyContent - CSS justify-content
+ * @param {number} free - Space left in the line, may be negative
+ * @param {number} count - Number of items in the line
+ * @returns {{ start: number, between: number }} Space before the first item
+ *   and added between items
+ */
+export const justifyFlexLine = (justifyContent, free, count) => {
+  const space = Math.max(free, 0);
+  switch (justifyContent) {
+    case "flex-end":
+    case "end":
+    case "right":
+      return { start: free, between: 0 };
+    case "center":
+      return { start: free / 2, between: 0 };
+    case "space-between":
+      return count > 1
+        ? { start: 0, between: space / (count - 1) }
+        : { start: 0, between: 0 };
+    case "space-around":
+      return free > 0
+        ? { start: space / count / 2, between: space / count }
+        : { start: free / 2, between: 0 };
+    case "space-evenly":
+      return free > 0
+        ? { start: space / (count + 1), between: space / (count + 1) }
+        : { start: free / 2, between: 0 };
+    default:
+      return { start: 0, between: 0 };
+  }
+};
+
+/**
+ * Get where an item goes in the cross size of its line
+ * @param {string} align - CSS align-self value from `getAlignSelf`
+ * @param {number} free - Cross size of the line not taken by the item
+ * @returns {number} Offset from the start of the line
+ */
+export const alignFlexItem = (align, free) => {
+  switch (align) {
+    case "flex-end":
+    case "end":
+    case "self-end":
+      return free;
+    case "center":
+      return free / 2;
+    default:
+      return 0;
+  }
+};
@@ -0,0 +1,429 @@
+import { existsSync, readFileSync } from "fs";
+import { isAbsolute, resolve } from "path";
+import { fileURLToPath } from "url";
+
+import { decodeDataUri, isInsideDir } from "./image.mjs";
+import { getAtRules } from "./stylesheet.mjs";
+
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * @typedef {string | Uint8Array | ArrayBuffer} FontSource
+ * A TrueType font as a file path, file: URL, data URI or its bytes
+ */
+
+/**
+ * @typedef {"normal" | "italic"} FontStyle
+ */
+
+/**
+ * @typedef {Object} FontFace
+ * @property {string} family - Family name as used in CSS `font-family`
+ * @property {FontStyle} style - Whether the face is upright or italic
+ * @property {number} weight - Numeric weight, 400 for regular, 700 for bold
+ * @property {FontSource} source - Where the font data is loaded from
+ * @property {string} [fontName] - Name the face is registered with in jsPDF
+ */
+
+/**
+ * @typedef {Object} PdfFont
+ * @property {string} fontName - jsPDF font name
+ * @property {string} fontStyle - jsPDF font style
+ */
+
+/** Family used when none of the families of an element are available */
+export const DEFAULT_FONT_FAMILY = "GoNotoKurrent";
+
+/**
+ * jsPDF's standard fonts used for generic CSS families, unless a font is
+ * registered under the generic name itself
+ */
+const genericFamilies = {
+  monospace: "courier",
+};
+
+const fontsDir = fileURLToPath(new URL("./static/fonts/", import.meta.url));
+
+/** Faces registered with `registerFont`, by lower case family name */
+/** @type {Map<string, FontFace[]>} */
+const registeredFonts = new Map();
+
+/** Faces from the `@font-face` rules of the HTML rendered into a document */
+/** @type {WeakMap<jsPDF, Map<string, FontFace[]>>} */
+const documentFonts = new WeakMap();
+
+/** Font files as binary strings, so each file is only read once */
+/** @type {Map<FontSource, string>} */
+const fontDataCache = new Map();
+
+/** Number of faces named so far, to keep jsPDF font names unique */
+let faceCount = 0;
+
+/** Faces whose data could not be loaded, so they are only reported once */
+/** @type {WeakSet<FontFace>} */
+const failedFaces = new WeakSet();
+
+/**
+ * Parse a CSS font weight to a number
+ * @param {string | number | undefined} weight - CSS font weight
+ * @returns {number}
+ */
+const parseFontWeight = (weight) => {
+  switch (String(weight ?? "").trim()) {
+    case "bold":
+    case "bolder":
+      return 700;
+    case "lighter":
+      return 300;
+    default:
+      return parseInt(String(weight)) || 400;
+  }
+};
+
+/**
+ * Parse a CSS font style
+ * @param {string | undefined} style - CSS font style
+ * @returns {FontStyle}
+ */
+const parseFontStyle = (style) =>
+  /^(italic|oblique)/.test(String(style ?? "").trim()) ? "italic" : "normal";
+
+/**
+ * Remove the quotes around a CSS string
+ * @param {string} value - Possibly quoted value
+ * @returns {string}
+ */
+const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, "$2");
+
+/**
+ * Split a CSS `font-family` list into lower case family names
+ * @param {string | undefined} fontFamily - Value such as `"Brand Sans", Arial, sans-serif`
+ * @returns {string[]}
+ */
+const parseFontFamilyList = (fontFamily) =>
+  String(fontFamily ?? "")
+    .split(",")
+    .map((family) => unquote(family).toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Add a face to a registry, replacing a face with the same style and weight
+ * @param {Map<string, FontFace[]>} registry - Faces by lower case family name
+ * @param {FontFace} face - Face to add
+ */
+const addFace = (registry, face) => {
+  const key = face.family.toLowerCase();
+  const faces = (registry.get(key) ?? []).filter(
+    (existing) =>
+      existing.style !== face.style || existing.weight !== face.weight
+  );
+  registry.set(key, [...faces, face]);
+};
+
+/**
+ * Register a font for every document. Fonts are only read when text first
+ * uses them.
+ * @param {string} family - Family name to use in CSS `font-family`
+ * @param {string} style - "normal" or "italic"
+ * @param {string | number} weight - CSS font weight such as 400 or "bold"
+ * @param {FontSource} source - TrueType font as a path relative to the
+ *   current directory, a file: URL, a data URI or its bytes
+ */
+export const registerFont = (family, style, weight, source) => {
+  if (!family || !source) {
+    throw new TypeError("registerFont needs a family and a source");
+  }
+  if (typeof source === "string" && !/^(data|file):/i.test(source)) {
+    source = resolve(source);
+  }
+  addFace(registeredFonts, {
+    family,
+    style: parseFontStyle(style),
+    weight: parseFontWeight(weight),
+    source,
+  });
+};
+
+registerFont(
+  DEFAULT_FONT_FAMILY,
+  "normal",
+  400,
+  resolve(fontsDir, "GoNotoKurrent-Regular.ttf")
+);
+registerFont(
+  DEFAULT_FONT_FAMILY,
+  "normal",
+  700,
+  resolve(fontsDir, "GoNotoKurrent-Bold.ttf")
+);
+
+/**
+ * Font formats jsPDF can embed, as named by the CSS `format()` hint
+ */
+const supportedFormats = ["truetype", "opentype"];
+
+/**
+ * Pick the first source of an `@font-face` rule that can be loaded. Remote
+ * URLs and other font formats are skipped in favor of the next source in
+ * the list, and so are local files outside `baseDir` unless
+ * `allowAbsolutePaths` lets absolute paths and file: URLs point anywhere.
+ * @param {string} family - Family name, for warnings
+ * @param {string} src - Value of the `src` descriptor
+ * @param {string} baseDir - Directory relative URLs are resolved against
+ * @param {boolean} allowAbsolutePaths - Read absolute paths and file: URLs
+ *   even when they are outside `baseDir`
+ * @returns {string | undefined} Data URI or file path
+ */
+const getFontFaceSource = (family, src, baseDir, allowAbsolutePaths) => {
+  const sources = src.matchAll(
+    /url\(\s*(["']?)(.*?)\1\s*\)(?:\s*format\(\s*(["']?)(.*?)\3\s*\))?/g
+  );
+  for (const [, , url, , format] of sources) {
+    if (format && !supportedFormats.includes(format.toLowerCase())) continue;
+    if (/^data:/i.test(url)) return url;
+    if (/^[a-z][a-z\d+.-]*:/i.test(url) && !/^file:/i.test(url)) continue;
+
+    const path = /^file:/i.test(url)
+      ? fileURLToPath(url)
+      : decodeURI(url.split(/[?#]/)[0]);
+    const fullPath = resolve(baseDir, path);
+    // Missing files are reported when the face is first used
+    if (
+      !(allowAbsolutePaths && isAbsolute(path)) &&
+      existsSync(fullPath) &&
+      !isInsideDir(fullPath, baseDir)
+    ) {
+      console.warn(
+        `Skipping @font-face "${family}" source outside the base directory: ${url}`
+      );
+      continue;
+    }
+    return fullPath;
+  }
+  return undefined;
+};
+
+/**
+ * Collect the faces declared by `@font-face` rules in the `<style>`
+ * elements of an HTML string. Only local TrueType and OpenType files and
+ * data URIs are loaded.
+ * @param {string} html - HTML content
+ * @param {string} baseDir - Directory relative URLs are resolved against
+ * @param {boolean} [allowAbsolutePaths=false] - Read absolute paths and
+ *   file: URLs even when they are outside `baseDir`
+ * @returns {FontFace[]}
+ */
+export const parseFontFaceRules = (html, baseDir, allowAbsolutePaths = false) =>
+  getAtRules(html, "font-face").flatMap(({ declarations }) => {
+    const family = unquote(declarations["font-family"] ?? "");
+    if (!family) return [];
+
+    const source = getFontFaceSource(
+      family,
+      declarations.src ?? "",
+      baseDir,
+      allowAbsolutePaths
+    );
+    if (!source) {
+      console.warn(
+        `Skipping @font-face "${family}" without a usable local source`
+      );
+      return [];
+    }
+
+    return [
+      {
+        family,
+        // Ranges such as "100 900" are treated as their first value
+        style: parseFontStyle(declarations["font-style"]),
+        weight: parseFontWeight(
+          (declarations["font-weight"] ?? "").split(/\s+/)[0]
+        ),
+        source,
+      },
+    ];
+  });
+
+/**
+ * Make `@font-face` fonts available to a document
+ * @param {jsPDF} pdf - PDF document
+ * @param {FontFace[]} faces - Faces from `parseFontFaceRules`
+ */
+export const addDocumentFonts = (pdf, faces) => {
+  const registry = documentFonts.get(pdf) ?? new Map();
+  faces.forEach((face) => addFace(registry, face));
+  documentFonts.set(pdf, registry);
+};
+
+/**
+ * Make the `@font-face` fonts of one document available to another
+ * @param {jsPDF} from - Document whose fonts are shared
+ * @param {jsPDF} to - Document that receives them
+ */
+export const copyDocumentFonts = (from, to) => {
+  const registry = documentFonts.get(from);
+  if (registry) documentFonts.set(to, registry);
+};
+
+/**
+ * Pick the face of a family that best matches a style and weight, following
+ * the CSS font matching rules
+ * @param {FontFace[]} faces - Faces of one family
+ * @param {FontStyle} style - Wanted style
+ * @param {number} weight - Wanted weight
+ * @returns {FontFace | undefined}
+ */
+const matchFace = (faces, style, weight) => {
+  const candidates = faces.filter((face) => !failedFaces.has(face));
+  const styled = candidates.filter((face) => face.style === style);
+  const pool = styled.length > 0 ? styled : candidates;
+
+  // Lighter faces are preferred for weights up to 500, heavier ones above
+  const distance = (/** @type {FontFace} */ face) => {
+    const wrongSide =
+      weight <= 500 ? face.weight > weight : face.weight < weight;
+    return Math.abs(face.weight - weight) + (wrongSide ? 1000 : 0);
+  };
+  return [...pool].sort((a, b) => distance(a) - distance(b))[0];
+};
+
+/** Leading bytes of TrueType and OpenType font files */
+const fontSignatures = ["\x00\x01\x00\x00", "true", "OTTO"];
+
+/**
+ * Read font data as the binary string jsPDF expects
+ * @param {FontSource} source - Font source
+ * @returns {string}
+ */
+const readFontData = (source) => {
+  let data = fontDataCache.get(source);
+  if (data !== undefined) return data;
+
+  if (typeof source !== "string") {
+    data = Buffer.from(
+      source instanceof ArrayBuffer ? new Uint8Array(source) : source
+    ).toString("latin1");
+  } else if (/^data:/i.test(source)) {
+    const decoded = decodeDataUri(source);
+    if (!decoded) throw new Error("Invalid font data URI");
+    data = Buffer.from(decoded.data).toString("latin1");
+  } else {
+    const path = /^file:/i.test(source) ? fileURLToPath(source) : source;
+    data = readFileSync(path, { encoding: "latin1" });
+  }
+
+  fontDataCache.set(source, data);
+  return data;
+};
+
+/**
+ * Name a face is registered with in jsPDF. The default family keeps the
+ * names it has always had, so documents can still select it directly.
+ * @param {FontFace} face
+ * @returns {string}
+ */
+const getFontName = (face) => {
+  if (face.family === DEFAULT_FONT_FAMILY && face.style === "normal") {
+    if (face.weight === 400) return "GoNotoKurrentRegular";
+    if (face.weight === 700) return "GoNotoKurrentBold";
+  }
+  const family = face.family.replace(/[^\w-]+/g, "");
+  const style = face.style === "italic" ? "Italic" : "";
+  return `${family}-${style}${face.weight}-${++faceCount}`;
+};
+
+/**
+ * Add a face to a document the first time it is used
+ * @param {jsPDF} pdf - PDF document
+ * @param {FontFace} face - Face to add
+ * @returns {boolean} Whether the face can be used
+ */
+const ensureFace = (pdf, face) => {
+  face.fontName ??= getFontName(face);
+  if (pdf.getFontList()[face.fontName]) return true;
+
+  try {
+    const data = readFontData(face.source);
+    if (!fontSignatures.some((signature) => data.startsWith(signature))) {
+      throw new Error("not a TrueType or OpenType font");
+    }
+    const fileName = `${face.fontName}.ttf`;
+    pdf.addFileToVFS(fileName, data);
+    pdf.addFont(fileName, face.fontName, "normal");
+    // jsPDF only logs fonts it can't parse, and fails when measuring text
+    if (!pdf.getFont(face.fontName, "normal").metadata?.Unicode) {
+      throw new Error("the font could not be parsed");
+    }
+    return true;
+  } catch (err) {
+    console.warn(`Could not load font "${face.family}": ${err.message}`);
+    failedFaces.add(face);
+    return false;
+  }
+};
+
+/**
+ * Find the font for a CSS font family list, style and weight, and add it
+ * to the document if needed. Families are looked up in the document's
+ * `@font-face` rules, then in the registered fonts, then in the fonts
+ * already added to the document with `addFont`, where the generic
+ * `monospace` family is the standard Courier.
+ * @param {jsPDF} pdf - PDF document
+ * @param {{ fontFamily?: string, fontWeight?: string, fontStyle?: string }} style
+ *   - CSS font properties
+ * @returns {PdfFont}
+ */
+export const loadFont = (pdf, { fontFamily, fontWeight, fontStyle }) => {
+  const weight = parseFontWeight(fontWeight);
+  const italic = parseFontStyle(fontStyle);
+  const registries = [documentFonts.get(pdf), registeredFonts];
+  const pdfFonts = pdf.getFontList();
+
+  for (const family of [
+    ...parseFontFamilyList(fontFamily),
+    DEFAULT_FONT_FAMILY.toLowerCase(),
+  ]) {
+    for (const registry of registries) {
+      const faces = registry?.get(family) ?? [];
+      let face = matchFace(faces, italic, weight);
+      while (face && !ensureFace(pdf, face)) {
+        face = matchFace(faces, italic, weight);
+      }
+      if (face?.fontName)
+        return { fontName: face.fontName, fontStyle: "normal" };
+    }
+
+    // Fonts added to the document by the caller or built into jsPDF, with
+    // jsPDF's style names
+    const pdfFamily = genericFamilies[family] ?? family;
+    const fontName = Object.keys(pdfFonts).find(
+      (name) => name.toLowerCase() === pdfFamily
+    );
+    if (fontName) {
+      const bold = weight >= 600 ? "bold" : "";
+      const wanted =
+        `${bold}${italic === "italic" ? "italic" : ""}` || "normal";
+      const styles = pdfFonts[fontName];
+      return {
+        fontName,
+        fontStyle: styles.includes(wanted) ? wanted : styles[0],
+      };
+    }
+  }
+
+  return {
+    fontName: "helvetica",
+    fontStyle: weight >= 600 ? "bold" : "normal",
+  };
+};
+
+/**
+ * Select the font for a CSS style on the document
+ * @param {jsPDF} pdf - PDF document
+ * @param {{ fontFamily?: string, fontWeight?: string, fontStyle?: string }} style
+ *   - CSS font properties
+ */
+export const useFont = (pdf, style) => {
+  const { fontName, fontStyle } = loadFont(pdf, style);
+  pdf.setFont(fontName, fontStyle);
+};
@@ -0,0 +1,397 @@
+import { cssLengthToUnits } from "./units.mjs";
+
+/**
+ * Size of a grid track as written in a track list
+ * @typedef {{ type: "length", size: number }
+ *   | { type: "percent", percent: number }
+ *   | { type: "fr", fr: number }
+ *   | { type: "auto" }} Track
+ */
+
+/**
+ * Tracks an item covers on one axis
+ * @typedef {Object} GridSpan
+ * @property {number | null} start - Index of the first track, null to
+ *   place the item automatically
+ * @property {number} span - Number of tracks
+ */
+
+/**
+ * Where an item is placed in the grid
+ * @typedef {Object} GridArea
+ * @property {number} row - Index of the first row
+ * @property {number} rowSpan - Number of rows
+ * @property {number} column - Index of the first column
+ * @property {number} columnSpan - Number of columns
+ */
+
+/**
+ * What an item needs from the tracks it spans, in PDF units
+ * @typedef {Object} TrackContribution
+ * @property {number} start - Index of the first track
+ * @property {number} span - Number of tracks
+ * @property {number} min - Smallest size of the item
+ * @property {number} max - Size the item takes when nothing constrains it
+ */
+
+/** @type {Track} */
+const AUTO_TRACK = { type: "auto" };
+
+/**
+ * Split a track list into track sizes and `repeat()` calls. Line names
+ * are dropped.
+ * @param {string} value
+ * @returns {string[]}
+ */
+const splitTracks = (value) =>
+  (
+    value.match(/[\w-]+\((?:[^()]|\([^()]*\))*\)|\[[^\]]*\]|[^\s()[\]]+/g) ?? []
+  ).filter((token) => !token.startsWith("["));
+
+/**
+ * Parse a single track size
+ * @param {string} value - Size such as `1fr`, `20%`, `100px` or `auto`
+ * @param {number} scaleFactor - Points per PDF unit
+ * @returns {Track}
+ */
+const parseTrack = (value, scaleFactor) => {
+  // The maximum decides how a minmax() track grows
+  const minmax = value.match(/^minmax\((.*),(.*)\)$/i);
+  if (minmax) return parseTrack(minmax[2].trim(), scaleFactor);
+
+  if (value.endsWith("fr")) {
+    return { type: "fr", fr: Math.max(parseFloat(value) || 0, 0) };
+  }
+  if (value.endsWith("%")) {
+    return { type: "percent", percent: parseFloat(value) || 0 };
+  }
+  const size = cssLengthToUnits(value, scaleFactor);
+  return size === null ? AUTO_TRACK : { type: "length", size };
+};
+
+/**
+ * Parse `grid-template-columns` or `grid-template-rows`
+ * @param {string | undefined} value - CSS track list
+ * @param {number} scaleFactor - Points per PDF unit
+ * @param {number} available - Size of the container along the axis, for
+ *   `repeat(auto-fill, ...)`, Infinity if unknown
+ * @param {number} gap - Space between tracks
+ * @returns {Track[]}
+ */
+export const parseTrackList = (value, scaleFactor, available, gap) => {
+  /** @type {Track[]} */
+  const tracks = [];
+  for (const token of splitTracks(String(value ?? "").trim())) {
+    const repeat = token.match(/^repeat\(\s*([^,]+),(.*)\)$/i);
+    if (!repeat) {
+      if (token !== "none") tracks.push(parseTrack(token, scaleFactor));
+      continue;
+    }
+
+    const repeated = splitTracks(repeat[2]).map((track) =>
+      parseTrack(track, scaleFactor)
+    );
+    let count = parseInt(repeat[1]) || 1;
+    if (/auto-(fill|fit)/i.test(repeat[1])) {
+      // As many repetitions as fit, counting flexible tracks as empty
+      const size = repeated.reduce(
+        (sum, track) =>
+          sum +
+          (track.type === "length"
+            ? track.size
+            : track.type === "percent" && Number.isFinite(available)
+              ? (track.percent * available) / 100
+              : 0),
+        0
+      );
+      const step = size + gap * repeated.length;
+      count =
+        size > 0 && Number.isFinite(available)
+          ? Math.max(Math.floor((available + gap) / step), 1)
+          : 1;
+    }
+    for (let i = 0; i < count; i++) tracks.push(...repeated);
+  }
+  return tracks;
+};
+
+/**
+ * Parse one side of a grid placement
+ * @param {string | undefined} value - Line number, `span n` or `auto`
+ * @returns {{ line: number | null, span: number }}
+ */
+const parseGridLine = (value) => {
+  const tokens = String(value ?? "")
+    .trim()
+    .split(/\s+/);
+  if (tokens[0] === "span") {
+    return { line: null, span: Math.max(parseInt(tokens[1]) || 1, 1) };
+  }
+  const line = parseInt(tokens[0]);
+  return { line: isNaN(line) || line === 0 ? null : line, span: 0 };
+};
+
+/**
+ * Resolve the start and end of a placement to the tracks it covers
+ * @param {string | undefined} startValue - Start line, such as `grid-row-start`
+ * @param {string | undefined} endValue - End line, such as `grid-row-end`
+ * @param {number} count - Number of explicit tracks, for negative lines
+ * @returns {GridSpan}
+ */
+const resolveGridSpan = (startValue, endValue, count) => {
+  // Negative lines count back from the end of the explicit grid
+  const toIndex = (/** @type {number} */ line) =>
+    line > 0 ? line - 1 : Math.max(count + 1 + line, 0);
+  const start = parseGridLine(startValue);
+  const end = parseGridLine(endValue);
+
+  if (start.line !== null && end.line !== null) {
+    const first = Math.min(toIndex(start.line), toIndex(end.line));
+    const last = Math.max(toIndex(start.line), toIndex(end.line));
+    return { start: first, span: Math.max(last - first, 1) };
+  }
+  if (start.line !== null) {
+    return { start: toIndex(start.line), span: end.span || 1 };
+  }
+  if (end.line !== null) {
+    const span = start.span || 1;
+    return { start: Math.max(toIndex(end.line) - span, 0), span };
+  }
+  return { start: null, span: start.span || 1 };
+};
+
+/**
+ * Read where an item asks to be placed. jsdom keeps `grid-area`,
+ * `grid-row` and `grid-column` as written, so the longhands override the
+ * shorthands here whatever order they were declared in.
+ * @param {Object} style - Computed style of the item
+ * @param {number} columnCount - Number of explicit columns
+ * @param {number} rowCount - Number of explicit rows
+ * @returns {{ row: GridSpan, column: GridSpan }}
+ */
+export const getGridPlacement = (style, columnCount, rowCount) => {
+  const split = (/** @type {string | undefined} */ value) =>
+    String(value ?? "")
+      .split("/")
+      .map((part) => part.trim());
+  const [rowStart, columnStart, rowEnd, columnEnd] = split(style.gridArea);
+  const [rowFrom = rowStart, rowTo = rowEnd] = style.gridRow
+    ? split(style.gridRow)
+    : [];
+  const [columnFrom = columnStart, columnTo = columnEnd] = style.gridColumn
+    ? split(style.gridColumn)
+    : [];
+
+  return {
+    row: resolveGridSpan(
+      style.gridRowStart || rowFrom,
+      style.gridRowEnd || rowTo,
+      rowCount
+    ),
+    column: resolveGridSpan(
+      style.gridColumnStart || columnFrom,
+      style.gridColumnEnd || columnTo,
+      columnCount
+    ),
+  };
+};
+
+/**
+ * Place items in the grid: items with a position go there, the others
+ * fill the free cells row by row in document order
+ * @param {{ row: GridSpan, column: GridSpan }[]} placements - Placement
+ *   of each item, from `getGridPlacement`
+ * @param {number} columnCount - Number of explicit columns
+ * @returns {{ areas: GridArea[], columnCount: number, rowCount: number }}
+ *   Area of each item, and the number of columns and rows they need
+ */
+export const placeGridItems = (placements, columnCount) => {
+  const columns = Math.max(
+    columnCount,
+    1,
+    ...placements.map(({ column }) => (column.start ?? 0) + column.span)
+  );
+  const occupied = new Set();
+  const fits = (row, column, rowSpan, columnSpan) => {
+    if (column + columnSpan > columns) return false;
+    for (let r = row; r < row + rowSpan; r++) {
+      for (let c = column; c < column + columnSpan; c++) {
+        if (occupied.has(`${r},${c}`)) return false;
+      }
+    }
+    return true;
+  };
+
+  /** @type {GridArea[]} */
+  const areas = [];
+  const place = (index, row, column, rowSpan, columnSpan) => {
+    areas[index] = { row, rowSpan, column, columnSpan };
+    for (let r = row; r < row + rowSpan; r++) {
+      for (let c = column; c < column + columnSpan; c++) {
+        occupied.add(`${r},${c}`);
+      }
+    }
+  };
+
+  // Items with a row go first, so the others flow around them
+  placements.forEach(({ row, column }, index) => {
+    if (row.start === null) return;
+    let start = column.start;
+    if (start === null) {
+      start = 0;
+      while (
+        start + column.span < columns &&
+        !fits(row.start, start, row.span, column.span)
+      ) {
+        start++;
+      }
+    }
+    place(index, row.start, start, row.span, column.span);
+  });
+
+  let cursorRow = 0;
+  let cursorColumn = 0;
+  placements.forEach(({ row, column }, index) => {
+    if (row.start !== null) return;
+    const span = Math.min(column.span, columns);
+    if (column.start !== null) {
+      if (column.start < cursorColumn) cursorRow++;
+      while (!fits(cursorRow, column.start, row.span, span)) cursorRow++;
+      cursorColumn = column.start;
+    } else {
+      while (!fits(cursorRow, cursorColumn, row.span, span)) {
+        cursorColumn++;
+        if (cursorColumn + span > columns) {
+          cursorColumn = 0;
+          cursorRow++;
+        }
+      }
+    }
+    place(index, cursorRow, cursorColumn, row.span, span);
+    cursorColumn += span;
+  });
+
+  const rowCount = Math.max(0, ...areas.map((area) => area.row + area.rowSpan));
+  return { areas, columnCount: columns, rowCount };
+};
+
+/**
+ * Size the tracks of one axis. Fixed tracks keep their size, auto tracks
+ * fit their items and stretch to fill the container, and fr tracks share
+ * what is left without getting narrower than their items. On an axis of
+ * unknown size, percentages and fr tracks are sized like auto tracks.
+ * @param {Track[]} tracks
+ * @param {number} available - Size of the container, Infinity if unknown
+ * @param {number} gap - Space between tracks
+ * @param {TrackContribution[]} contributions - What the items need
+ * @returns {number[]} Size of each track
+ */
+export const sizeGridTracks = (tracks, available, gap, contributions) => {
+  const definite = Number.isFinite(available);
+  /** @type {Track[]} */
+  const resolved = tracks.map((track) => {
+    if (track.type === "percent") {
+      return definite
+        ? { type: "length", size: (track.percent * available) / 100 }
+        : AUTO_TRACK;
+    }
+    return track.type === "fr" && !definite ? AUTO_TRACK : track;
+  });
+
+  // Items in a single track decide its content size
+  const minContent = resolved.map(() => 0);
+  const maxContent = resolved.map(() => 0);
+  for (const { start, span, min, max } of contributions) {
+    if (span !== 1) continue;
+    minContent[start] = Math.max(minContent[start], min);
+    maxContent[start] = Math.max(maxContent[start], max);
+  }
+  const sizes = resolved.map((track, index) =>
+    track.type === "length"
+      ? track.size
+      : track.type === "auto"
+        ? maxContent[index]
+        : 0
+  );
+
+  // Items spanning several tracks grow the auto tracks among them
+  for (const { start, span, max } of contributions) {
+    if (span === 1) continue;
+    const spanned = sizes
+      .slice(start, start + span)
+      .reduce((sum, size) => sum + size, gap * (span - 1));
+    const autos = [];
+    for (let index = start; index < start + span; index++) {
+      if (resolved[index].type === "auto") autos.push(index);
+    }
+    if (max > spanned && autos.length > 0) {
+      autos.forEach((index) => {
+        sizes[index] += (max - spanned) / autos.length;
+      });
+    }
+  }
+  if (!definite) return sizes;
+
+  const space = available - gap * Math.max(tracks.length - 1, 0);
+  const flexible = resolved.flatMap((track, index) =>
+    track.type === "fr" ? [index] : []
+  );
+  if (flexible.length > 0) {
+    let free =
+      space -
+      sizes.reduce(
+        (sum, size, index) =>
+          resolved[index].type === "fr" ? sum : sum + size,
+        0
+      );
+    // Tracks too narrow for their items keep their content size, and the
+    // others share the rest
+    let open = flexible;
+    for (;;) {
+      const frSum = open.reduce(
+        (sum, index) =>
+          sum + /** @type {{ fr: number }} */ (resolved[index]).fr,
+        0
+      );
+      const unit = frSum > 0 ? Math.max(free, 0) / Math.max(frSum, 1) : 0;
+      const tooNarrow = open.filter(
+        (index) =>
+          unit * /** @type {{ fr: number }} */ (resolved[index]).fr <
+          minContent[index]
+      );
+      if (tooNarrow.length === 0) {
+        open.forEach((index) => {
+          sizes[index] =
+            unit * /** @type {{ fr: number }} */ (resolved[index]).fr;
+        });
+        return sizes;
+      }
+      tooNarrow.forEach((index) => {
+        sizes[index] = minContent[index];
+        free -= minContent[index];
+      });
+      open = open.filter((index) => !tooNarrow.includes(index));
+    }
+  }
+
+  const autos = resolved.flatMap((track, index) =>
+    track.type === "auto" ? [index] : []
+  );
+  const free = space - sizes.reduce((sum, size) => sum + size, 0);
+  if (free > 0 && autos.length > 0) {
+    autos.forEach((index) => {
+      sizes[index] += free / autos.length;
+    });
+  } else if (free < 0) {
+    // Auto tracks give up space down to the content they can't wrap
+    const shrinkable = autos.reduce(
+      (sum, index) => sum + Math.max(sizes[index] - minContent[index], 0),
+      0
+    );
+    const ratio = shrinkable > 0 ? Math.min(-free / shrinkable, 1) : 0;
+    autos.forEach((index) => {
+      sizes[index] -= Math.max(sizes[index] - minContent[index], 0) * ratio;
+    });
+  }
+  return sizes;
+};
@@ -0,0 +1,97 @@
+/** @import {DOMWindow} from 'jsdom' */
+/** @import {CellDef, RowInput} from 'jspdf-autotable' */
+
+import { parseCss } from './cssParser.js'
+
+/**
+ * @typedef {Object} ParsedTable
+ * @property {RowInput[]} head
+ * @property {RowInput[]} body
+ * @property {RowInput[]} foot
+ */
+
+/**
+ * Convert an html table into autotable head, body and foot rows
+ * @param {string[]} supportedFonts
+ * @param {HTMLTableElement} tableElement
+ * @param {number} scaleFactor
+ * @param {DOMWindow} window
+ * @returns {ParsedTable}
+ */
+export function parseHtmlTable(
+  supportedFonts,
+  tableElement,
+  scaleFactor,
+  window,
+) {
+  /** @type {RowInput[]} */
+  const head = []
+  /** @type {RowInput[]} */
+  const body = []
+  /** @type {RowInput[]} */
+  const foot = []
+
+  for (let i = 0; i < tableElement.rows.length; i++) {
+    const element = tableElement.rows[i]
+    const tagName = element.parentElement?.tagName?.toLowerCase()
+    const row = parseRowContent(supportedFonts, scaleFactor, window, element)
+    if (!row) continue
+    if (tagName === 'thead') {
+      head.push(row)
+    } else if (tagName === 'tfoot') {
+      foot.push(row)
+    } else {
+      // Add to body both if parent is tbody or table
+      body.push(row)
+    }
+  }
+
+  return { head, body, foot }
+}
+
+/**
+ * @param {string[]} supportedFonts
+ * @param {number} scaleFactor
+ * @param {DOMWindow} window
+ * @param {HTMLTableRowElement} row
+ * @returns {CellDef[] | undefined}
+ */
+function parseRowContent(supportedFonts, scaleFactor, window, row) {
+  /** @type {CellDef[]} */
+  const resultRow = []
+  for (let i = 0; i < row.cells.length; i++) {
+    const cell = row.cells[i]
+    const style = window.getComputedStyle(cell)
+    if (style.display !== 'none') {
+      resultRow.push({
+        rowSpan: cell.rowSpan,
+        colSpan: cell.colSpan,
+        styles: parseCss(supportedFonts, cell, scaleFactor, window),
+        content: parseCellContent(cell),
+        _element: cell,
+      })
+    }
+  }
+  const style = window.getComputedStyle(row)
+  if (resultRow.length > 0 && style.display !== 'none') {
+    return resultRow
+  }
+}
+
+/**
+ * @param {HTMLTableCellElement} orgCell
+ * @returns {string}
+ */
+function parseCellContent(orgCell) {
+  // Work on cloned node to make sure no changes are applied to html table
+  const cell = /** @type {HTMLTableCellElement} */ (orgCell.cloneNode(true))
+  // Remove extra space and line breaks in markup to make it more similar to
+  // what would be shown in html
+  cell.innerHTML = cell.innerHTML.replace(/\n/g, '').replace(/ +/g, ' ')
+  // Preserve <br> tags as line breaks in the pdf
+  cell.innerHTML = cell.innerHTML
+    .split(/<br.*?>/) //start with '<br' and ends with '>'.
+    .map((part) => part.trim())
+    .join('\n')
+  return cell.textContent || ''
+}
@@ -0,0 +1,105 @@
+import * as enUs from "./hyphenation/en-us.mjs";
+
+/**
+ * @typedef {Object} Dictionary
+ * @property {Map<string, number[]>} patterns - Values between the letters of
+ *   each pattern, by its letters
+ * @property {Map<string, number[]>} exceptions - Hyphen positions of words
+ *   the patterns get wrong
+ * @property {number} maxLength - Letters in the longest pattern
+ */
+
+/** Bundled pattern files, by primary language subtag */
+const patternFiles = { en: enUs };
+
+/** Letters kept together at the start and at the end of a word */
+const LEFT_MIN = 2;
+const RIGHT_MIN = 3;
+
+/** Parsed pattern files, so each is only parsed once */
+/** @type {Map<string, Dictionary>} */
+const dictionaries = new Map();
+
+/**
+ * Parse the pattern file of a language the first time it is needed
+ * @param {string} language - Primary language subtag such as "en"
+ * @returns {Dictionary | null} Dictionary, or null if none is bundled
+ */
+const loadDictionary = (language) => {
+  const cached = dictionaries.get(language);
+  if (cached) return cached;
+  const file = patternFiles[language];
+  if (!file) return null;
+
+  /** @type {Dictionary} */
+  const dictionary = {
+    patterns: new Map(),
+    exceptions: new Map(),
+    maxLength: 0,
+  };
+  for (const pattern of file.patterns.trim().split(/\s+/)) {
+    const letters = pattern.replace(/\d/g, "");
+    const values = new Array(letters.length + 1).fill(0);
+    let position = 0;
+    for (const char of pattern) {
+      if (char >= "0" && char <= "9") {
+        values[position] = Number(char);
+      } else {
+        position++;
+      }
+    }
+    dictionary.patterns.set(letters, values);
+    dictionary.maxLength = Math.max(dictionary.maxLength, letters.length);
+  }
+  for (const word of file.exceptions.trim().split(/\s+/)) {
+    const positions = [];
+    let length = 0;
+    for (const part of word.split("-").slice(0, -1)) {
+      length += part.length;
+      positions.push(length);
+    }
+    dictionary.exceptions.set(word.replace(/-/g, ""), positions);
+  }
+
+  dictionaries.set(language, dictionary);
+  return dictionary;
+};
+
+/**
+ * Find where a word may be hyphenated with Liang's algorithm. Punctuation
+ * around the word is kept out of it, and words with other characters in
+ * them are left whole.
+ * @param {string} word - Word without spaces
+ * @param {string} lang - Language tag such as "en-US"
+ * @returns {number[]} Offsets in the word a hyphen may be put before
+ */
+export const hyphenate = (word, lang) => {
+  const dictionary = loadDictionary(lang.split("-")[0].toLowerCase());
+  const [, before = "", letters = ""] =
+    word.match(/^(\P{L}*)(\p{L}+)\P{L}*$/u) ?? [];
+  if (!dictionary || letters.length < LEFT_MIN + RIGHT_MIN) return [];
+
+  const lower = letters.toLowerCase();
+  const exception = dictionary.exceptions.get(lower);
+  if (exception) return exception.map((offset) => before.length + offset);
+
+  // Dots mark the edges of the word, as in the patterns
+  const text = `.${lower}.`;
+  const values = new Array(text.length + 1).fill(0);
+  for (let start = 0; start < text.length; start++) {
+    const end = Math.min(text.length, start + dictionary.maxLength);
+    for (let stop = start + 1; stop <= end; stop++) {
+      const pattern = dictionary.patterns.get(text.slice(start, stop));
+      pattern?.forEach((value, index) => {
+        values[start + index] = Math.max(values[start + index], value);
+      });
+    }
+  }
+
+  // Odd values allow a hyphen, the dot shifts letters by one
+  const offsets = [];
+  for (let offset = LEFT_MIN; offset <= letters.length - RIGHT_MIN; offset++) {
+    if (values[offset + 1] % 2 === 1) offsets.push(before.length + offset);
+  }
+  return offsets;
+};
@@ -0,0 +1,216 @@
+import { readFileSync, realpathSync } from "fs";
+import { isAbsolute, relative, resolve, sep } from "path";
+import { fileURLToPath } from "url";
+
+import { cssLengthToPx } from "./units.mjs";
+
+/**
+ * @typedef {"PNG" | "JPEG" | "WEBP" | "GIF" | "BMP"} ImageFormat
+ */
+
+/**
+ * @typedef {Object} LoadedImage
+ * @property {Uint8Array} data - Raw image bytes
+ * @property {ImageFormat} format - Image format understood by jsPDF
+ */
+
+/** @type {Record<string, ImageFormat>} */
+const mimeTypeToFormat = {
+  "image/png": "PNG",
+  "image/jpeg": "JPEG",
+  "image/jpg": "JPEG",
+  "image/webp": "WEBP",
+  "image/gif": "GIF",
+  "image/bmp": "BMP",
+};
+
+/**
+ * Check whether bytes start with the given signature
+ * @param {Uint8Array} bytes
+ * @param {number[]} signature
+ * @param {number} [offset=0]
+ * @returns {boolean}
+ */
+const hasSignature = (bytes, signature, offset = 0) =>
+  bytes.length >= offset + signature.length &&
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+/**
+ * Detect image format from the file's magic bytes
+ * @param {Uint8Array} bytes - Image data
+ * @returns {ImageFormat | null} Detected format, or null if unknown
+ */
+export const detectImageFormat = (bytes) => {
+  if (hasSignature(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "PNG";
+  }
+  if (hasSignature(bytes, [0xff, 0xd8, 0xff])) {
+    return "JPEG";
+  }
+  // "RIFF" .... "WEBP"
+  if (
+    hasSignature(bytes, [0x52, 0x49, 0x46, 0x46]) &&
+    hasSignature(bytes, [0x57, 0x45, 0x42, 0x50], 8)
+  ) {
+    return "WEBP";
+  }
+  // "GIF8"
+  if (hasSignature(bytes, [0x47, 0x49, 0x46, 0x38])) {
+    return "GIF";
+  }
+  // "BM"
+  if (hasSignature(bytes, [0x42, 0x4d])) {
+    return "BMP";
+  }
+  return null;
+};
+
+/**
+ * Decode a data URI into bytes and its declared MIME type
+ * @param {string} uri - data: URI
+ * @returns {{ data: Uint8Array, mimeType: string } | null}
+ */
+export const decodeDataUri = (uri) => {
+  const match = uri.match(/^data:([^,]*?),(.*)$/s);
+  if (!match) return null;
+
+  const params = match[1].split(";");
+  const mimeType = (params[0] || "").trim().toLowerCase();
+  const isBase64 = params.some((param) => param.trim() === "base64");
+  const payload = match[2];
+
+  const data = isBase64
+    ? Buffer.from(payload.replace(/\s+/g, ""), "base64")
+    : Buffer.from(decodeURIComponent(payload), "latin1");
+
+  return { data: new Uint8Array(data), mimeType };
+};
+
+/**
+ * Check whether a path is inside a directory, after following symbolic
+ * links so a link can't lead out of it
+ * @param {string} path
+ * @param {string} dir
+ * @returns {boolean}
+ */
+export const isInsideDir = (path, dir) => {
+  const rel = relative(realpathSync(dir), realpathSync(path));
+  return rel !== ".." && !rel.startsWith(`..${sep}`) && !isAbsolute(rel);
+};
+
+/**
+ * Load image bytes from an `<img>` src.
+ * Supports data URIs, file: URLs and paths relative to `baseDir`. Local
+ * files outside `baseDir` are refused, so untrusted HTML can't embed other
+ * files of the host, unless `allowAbsolutePaths` lets absolute paths and
+ * file: URLs point anywhere.
+ * @param {string} src - Value of the src attribute
+ * @param {string} baseDir - Directory local paths are resolved against
+ * @param {boolean} [allowAbsolutePaths=false] - Read absolute paths and
+ *   file: URLs even when they are outside `baseDir`
+ * @returns {LoadedImage | null} Loaded image, or null if it can't be loaded
+ */
+export const loadImage = (src, baseDir, allowAbsolutePaths = false) => {
+  if (!src) return null;
+
+  let data;
+  let mimeType = "";
+
+  try {
+    if (src.startsWith("data:")) {
+      const decoded = decodeDataUri(src);
+      if (!decoded) return null;
+      ({ data, mimeType } = decoded);
+    } else if (/^[a-z][a-z\d+.-]*:/i.test(src) && !src.startsWith("file:")) {
+      console.warn(`Skipping image with unsupported URL scheme: ${src}`);
+      return null;
+    } else {
+      const path = src.startsWith("file:")
+        ? fileURLToPath(src)
+        : decodeURI(src.split(/[?#]/)[0]);
+      const fullPath = resolve(baseDir, path);
+      if (
+        !(allowAbsolutePaths && isAbsolute(path)) &&
+        !isInsideDir(fullPath, baseDir)
+      ) {
+        console.warn(`Skipping image outside the base directory: ${src}`);
+        return null;
+      }
+      data = new Uint8Array(readFileSync(fullPath));
+    }
+  } catch (err) {
+    console.error("Error loading image:", err);
+    return null;
+  }
+
+  const format = detectImageFormat(data) || mimeTypeToFormat[mimeType];
+  if (!format) {
+    console.warn(`Skipping image with unknown format: ${src.slice(0, 64)}`);
+    return null;
+  }
+
+  return { data, format };
+};
+
+/**
+ * Resolve a CSS or attribute length to pixels
+ * @param {string | null | undefined} value - Length such as "120px", "3cm", "50%" or "120"
+ * @param {number | null} percentBase - Length in pixels that 100% refers to
+ * @returns {number | null} Length in pixels, or null for auto/unsupported
+ */
+const parseImageLength = (value, percentBase) => {
+  if (!value || value === "auto" || value === "none") return null;
+  if (value.trim().endsWith("%")) {
+    const number = parseFloat(value);
+    return percentBase == null || isNaN(number)
+      ? null
+      : (number / 100) * percentBase;
+  }
+  return cssLengthToPx(value);
+};
+
+/**
+ * Compute the rendered image size in pixels from CSS and attributes,
+ * keeping the intrinsic aspect ratio unless both dimensions are given
+ * @param {HTMLImageElement} img - Image element
+ * @param {CSSStyleDeclaration} style - Computed style of the image
+ * @param {{ width: number, height: number }} intrinsic - Natural size in pixels
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} maxHeight - Available page height in pixels
+ * @returns {{ width: number, height: number }} Rendered size in pixels
+ */
+export const getImageSize = (img, style, intrinsic, maxWidth, maxHeight) => {
+  const ratio = intrinsic.width / intrinsic.height || 1;
+
+  let width =
+    parseImageLength(style.width, maxWidth) ??
+    parseImageLength(img.getAttribute("width"), maxWidth);
+  let height =
+    parseImageLength(style.height, null) ??
+    parseImageLength(img.getAttribute("height"), null);
+
+  if (width == null && height == null) {
+    width = intrinsic.width;
+    height = intrinsic.height;
+  } else if (width == null) {
+    width = height * ratio;
+  } else if (height == null) {
+    height = width / ratio;
+  }
+
+  // Shrink to max-width/max-height, never larger than the available space
+  const maxCssWidth = parseImageLength(style.maxWidth, maxWidth);
+  const limitWidth = Math.min(maxCssWidth ?? Infinity, maxWidth);
+  if (width > limitWidth) {
+    height *= limitWidth / width;
+    width = limitWidth;
+  }
+  const maxCssHeight = parseImageLength(style.maxHeight, null);
+  const limitHeight = Math.min(maxCssHeight ?? Infinity, maxHeight);
+  if (height > limitHeight) {
+    width *= limitHeight / height;
+    height = limitHeight;
+  }
+
+  return { width, height };
+};
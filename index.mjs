@@ -1,35 +1,260 @@
-import { readFileSync } from "fs";
-import { join } from "path";
+import { writeFile } from "fs/promises";
+
 import { jsPDF } from "jspdf";
+import { applyPlugin } from "jspdf-autotable";
 import { JSDOM } from "jsdom";
 import juice from "juice";
 
-import { GAP, NODE_TYPE, tagNameToFontSize } from "./constants.mjs";
+import {
+  getBidiTextOptions,
+  getDirAttribute,
+  getDirection,
+  getVisualOrder,
+  resolveTextAlign,
+} from "./bidi.mjs";
+import { countLines, getFirstLineNumber, LINE_NUMBER_COLOR } from "./code.mjs";
+import {
+  drawBackgroundColor,
+  drawBorder,
+  drawBoxShadow,
+  getBorderRadii,
+  getBorderSides,
+} from "./border.mjs";
+import {
+  isVisibleColor,
+  normalizeColorSyntax,
+  resolveCurrentColor,
+  withColor,
+} from "./color.mjs";
+import { DEFAULT_FONT_SIZE, NODE_TYPE } from "./constants.mjs";
+import { parseCss } from "./cssParser.js";
+import {
+  addDocumentFonts,
+  copyDocumentFonts,
+  DEFAULT_FONT_FAMILY,
+  loadFont,
+  parseFontFaceRules,
+  useFont,
+} from "./fonts.mjs";
+import {
+  alignFlexItem,
+  collectFlexLines,
+  getAlignSelf,
+  getFlexContainer,
+  getFlexFactors,
+  getGaps,
+  justifyFlexLine,
+  resolveFlexibleLengths,
+} from "./flex.mjs";
+import {
+  getGridPlacement,
+  parseTrackList,
+  placeGridItems,
+  sizeGridTracks,
+} from "./grid.mjs";
+import { parseHtmlTable } from "./htmlParser.js";
+import { getImageSize, loadImage } from "./image.mjs";
+import { breakLines, splitInlineItems } from "./inline.mjs";
+import {
+  createListContext,
+  drawBullet,
+  getAuthorListStyleType,
+  getListMarkerText,
+  isBulletType,
+} from "./list.mjs";
+import { addOutline } from "./outline.mjs";
+import { getPdfOutput } from "./output.mjs";
+import {
+  getBreakValue,
+  getLineBreaks,
+  getLineLimit,
+  getPageName,
+  parsePageRules,
+  resolveMargin,
+  resolvePageBox,
+  resolvePageSize,
+} from "./page.mjs";
+import {
+  getClearance,
+  getFloatSide,
+  getInsets,
+  getLineEdges,
+  isOutOfFlow,
+  placeFloat,
+} from "./position.mjs";
+import {
+  drawTextDecoration,
+  getBaselineShift,
+  getSmallCaps,
+  getTextDecorations,
+  SMALL_CAPS_SCALE,
+  splitSmallCaps,
+  transformText,
+} from "./textStyle.mjs";
+import {
+  drawDotLeader,
+  getTocHeadings,
+  hasTocPlaceholder,
+  TOC_SELECTOR,
+} from "./toc.mjs";
+import {
+  cssLengthToPx,
+  PT_PER_PX,
+  pxToUnits,
+  resolveFontSize,
+  resolveLength,
+  unitsToPx,
+} from "./units.mjs";
+import { getUserAgentStylesheet } from "./userAgent.mjs";
+
+applyPlugin(jsPDF);
+
+/** Inherited CSS properties that the layout reads from computed styles */
+const INHERITED_PROPERTIES = [
+  "fontFamily",
+  "fontWeight",
+  "fontStyle",
+  "direction",
+  "textAlign",
+  "textAlignLast",
+  "whiteSpace",
+  "wordBreak",
+  "overflowWrap",
+  "hyphens",
+  "lineHeight",
+  "textTransform",
+  "letterSpacing",
+  "wordSpacing",
+  "fontVariant",
+  "fontVariantCaps",
+  "tabSize",
+  "orphans",
+  "widows",
+];
+
+/** Height of the font above the baseline, as a fraction of the font size */
+const FONT_ASCENT = 0.8;
+
+export { registerFont } from "./fonts.mjs";
 
 /** @import {CellDef, RowInput, UserOptions} from 'jspdf-autotable' */
 /** @import {DOMWindow} from 'jsdom' */
-
-const globalFontRegular = readFileSync(
-  join("static", "fonts", "GoNotoKurrent-Regular.ttf"),
-  {
-    encoding: "latin1",
-  }
-);
-
-const globalFontBold = readFileSync(
-  join("static", "fonts", "GoNotoKurrent-Bold.ttf"),
-  {
-    encoding: "latin1",
-  }
-);
+/** @import {Direction} from './bidi.mjs' */
+/** @import {LineNumbers} from './code.mjs' */
+/** @import {LoadedImage} from './image.mjs' */
+/** @import {Track} from './grid.mjs' */
+/** @import {LineBox, TextRun} from './inline.mjs' */
+/** @import {ListContext, ListStyleType} from './list.mjs' */
+/** @import {Heading} from './outline.mjs' */
+/** @import {OutputType, PdfOutput} from './output.mjs' */
+/** @import {PageBox, Spacing} from './page.mjs' */
+/** @import {FloatBox} from './position.mjs' */
+/** @import {LengthContext} from './units.mjs' */
 
 /**
  * @typedef {Object} LayoutOptions
- * @property {number} [pagePadding=20] - Padding around the page content
- * @property {number} [lineHeight=1.2] - Line height multiplier
- * @property {number} [paragraphSpacing=10] - Space between paragraphs
+ * @property {string | (string | number)[]} [format="a4"] - Page size used by `generatePdf`: a3, a4, a5, b4, b5, letter, legal or ledger, or [width, height] as CSS lengths such as ["4in", "6in"]
+ * @property {"portrait" | "landscape"} [orientation="portrait"] - Page orientation used by `generatePdf`
+ * @property {"pt" | "mm" | "cm" | "in" | "px"} [unit="mm"] - Unit of the jsPDF document created by `generatePdf`
+ * @property {string | number | (string | number)[] | Object} [margin] - Page margins as CSS lengths: a shorthand such as "20mm 15mm", an array or a { top, right, bottom, left } object. Numbers are pixels. Overrides `pagePadding`.
+ * @property {string | number} [pagePadding="20mm"] - Page margin on every side as a CSS length, unless `margin` or `@page` sets one. Numbers are PDF units.
+ * @property {number} [lineHeight=1.2] - Line height multiplier of text that doesn't set a `line-height`
+ * @property {number | string} [paragraphSpacing=10] - Space after each paragraph, in CSS pixels or as a CSS length such as "1em"
  * @property {boolean} [debug=false] - Draw debug boxes around elements
- * @property {string} [defaultFont='GoNotoKurrentRegular'] - Default font to use
+ * @property {string} [defaultFont='GoNotoKurrent'] - Font family of text that doesn't set a `font-family`: a family from `@font-face` or `registerFont`, or a font added to the jsPDF document
+ * @property {string} [stylesheet] - CSS applied after the base stylesheet and before the document's own styles
+ * @property {string} [baseDir=process.cwd()] - Directory that relative image and `@font-face` paths are resolved against. Images and fonts outside it are not loaded.
+ * @property {boolean} [allowAbsolutePaths=false] - Load images and `@font-face` fonts from absolute paths and file: URLs outside `baseDir`. Only turn this on for trusted HTML.
+ * @property {boolean} [outline=true] - Add PDF bookmarks for H1-H6 headings
+ * @property {string | HeaderFooterCallback} [header] - Content repeated at the top of every page
+ * @property {string | HeaderFooterCallback} [footer] - Content repeated at the bottom of every page
+ * @property {number} [headerHeight] - Space reserved for the header, measured from its HTML when omitted
+ * @property {number} [footerHeight] - Space reserved for the footer, measured from its HTML when omitted
+ */
+
+/**
+ * Draws a page header or footer. It may draw on `pdf` directly, or return
+ * HTML that is laid out in the reserved area like an HTML `header`/`footer`.
+ * @callback HeaderFooterCallback
+ * @param {Object} params
+ * @param {jsPDF} params.pdf - The PDF document, set to the page being decorated
+ * @param {number} params.pageNumber - Current page number
+ * @param {number} params.pageCount - Total number of pages
+ * @param {Rect} params.rect - Area reserved for the header or footer
+ * @returns {string | void} HTML to lay out in the reserved area
+ */
+
+/**
+ * @typedef {Object} PageFrame
+ * @property {number} top - Y where content starts on the page
+ * @property {number} bottom - Y where content must end on the page
+ * @property {number} left - X where content starts on the page
+ * @property {number} right - X where content must end on the page
+ */
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+/**
+ * @typedef {Object} AnchorPosition
+ * @property {number} pageNumber - Page the element was rendered on
+ * @property {number} y - Y position of the element on that page
+ */
+
+/**
+ * Element laid out on its own, to measure it
+ * @typedef {Object} LayoutRoot
+ * @property {Element} element - Element to lay out
+ * @property {Object} parentStyle - Style the element inherits from
+ */
+
+/**
+ * Heights of measured elements by the width and inherited style they were
+ * measured with
+ * @typedef {WeakMap<Element, Map<string, number>>} MeasuredHeights
+ */
+
+/**
+ * @typedef {Object} InlineRun
+ * @property {string} text - Text of a text node, as in the document
+ * @property {Object} style - Style of the element the text is in
+ * @property {string} [href] - Target of the link the text is in
+ * @property {string} [lang] - Language of the text
+ * @property {boolean} [lineBreak] - Whether this is a `<br>` instead of text
+ */
+
+/**
+ * Child of a flex or grid container
+ * @typedef {Object} LayoutItem
+ * @property {Element} element - Element of the item
+ * @property {CSSStyleDeclaration} style - Computed style of the item
+ * @property {Object} dimensions - Result of getElementDimensions
+ * @property {number} extra - Horizontal margins, borders and padding
+ */
+
+/**
+ * Absolutely positioned element waiting to be placed
+ * @typedef {Object} OutOfFlowElement
+ * @property {Element} element
+ * @property {CSSStyleDeclaration} style - Computed style of the element
+ * @property {Object} parentStyle - Style of the parent, for inheritance
+ * @property {number} x - Left edge of the element if it were in the flow
+ * @property {number} y - Top edge of the element if it were in the flow
+ */
+
+/**
+ * Padding box of the containing block of a positioned element
+ * @typedef {Object} ContainingBlock
+ * @property {number} pageNumber - Page the box starts on
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
  */
 
 /**
@@ -48,11 +273,7 @@ const globalFontBold = readFileSync(
 const getTextMetrics = (pdf, text, style) => {
   const fontSize = parseInt(style.fontSize) || 10;
   pdf.setFontSize(fontSize);
-  if (style.fontWeight === "bold") {
-    pdf.setFont("GoNotoKurrentBold", "bold");
-  } else {
-    pdf.setFont("GoNotoKurrentRegular", "normal");
-  }
+  useFont(pdf, style);
   const width = pdf.getTextWidth(text);
   const height = fontSize * 1.2; // Approximate line height
   return { width, height };
@@ -70,116 +291,75 @@ const renderText = (pdf, text, x, y, style) => {
   const fontSize = parseInt(style.fontSize) || 10;
   const color = style.color || "black";
   pdf.setFontSize(fontSize);
-  if (style.fontWeight === "bold") {
-    pdf.setFont("GoNotoKurrentBold", "bold");
-  } else {
-    pdf.setFont("GoNotoKurrentRegular", "normal");
-  }
+  useFont(pdf, style);
   pdf.setTextColor(color);
   pdf.text(text, x, y);
 };
 
 /**
- * Get color value from CSS style
- * @param {string} color - CSS color value
- * @returns {number[]} Color values for jsPDF (0-255)
+ * Get the font size of a style in points
+ * @param {Object} style - Text style
+ * @returns {number} Font size in points
  */
-const parseColor = (color) => {
-  if (!color || color === "transparent" || color === "rgba(0, 0, 0, 0)") {
-    return [0, 0, 0]; // Black
-  }
-
-  // Handle rgb/rgba
-  const rgbMatch = color.match(
-    /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/
-  );
-  if (rgbMatch) {
-    const r = parseInt(rgbMatch[1]);
-    const g = parseInt(rgbMatch[2]);
-    const b = parseInt(rgbMatch[3]);
-    const a = rgbMatch[4] ? parseFloat(rgbMatch[4]) : 1;
-
-    // If fully transparent, return white
-    if (a === 0) {
-      return [255, 255, 255];
-    }
-
-    // Handle semi-transparency by blending with white background
-    if (a < 1) {
-      return [
-        Math.round(r * a + 255 * (1 - a)),
-        Math.round(g * a + 255 * (1 - a)),
-        Math.round(b * a + 255 * (1 - a)),
-      ];
-    }
-
-    return [r, g, b];
-  }
-
-  // Handle hex values
-  if (color.startsWith("#")) {
-    const hex = color.substring(1);
-    const r = parseInt(hex.substr(0, 2), 16);
-    const g = parseInt(hex.substr(2, 2), 16);
-    const b = parseInt(hex.substr(4, 2), 16);
-    return [r, g, b];
-  }
-
-  // Handle named colors
-  const namedColors = {
-    black: [0, 0, 0],
-    white: [255, 255, 255],
-    red: [255, 0, 0],
-    green: [0, 128, 0],
-    blue: [0, 0, 255],
-    yellow: [255, 255, 0],
-    cyan: [0, 255, 255],
-    magenta: [255, 0, 255],
-    gray: [128, 128, 128],
-    purple: [128, 0, 128],
-    orange: [255, 165, 0],
-  };
-
-  return namedColors[color.toLowerCase()] || [0, 0, 0];
+const getFontSize = (style) => {
+  // CSS sizes are in pixels, with a minimum of 8px
+  const fontSize = cssLengthToPx(style.fontSize) || DEFAULT_FONT_SIZE;
+  return Math.max(fontSize, 8) * PT_PER_PX;
 };
 
 /**
- * Apply color to PDF context
- * @param {jsPDF} pdf - PDF document
- * @param {string} color - CSS color value
- * @param {string} type - Type of color ('fill' or 'text')
- */
-const applyColor = (pdf, color, type = "text") => {
-  const [r, g, b] = parseColor(color);
-  if (type === "text") {
-    pdf.setTextColor(r, g, b);
-  } else if (type === "fill") {
-    pdf.setFillColor(r, g, b);
+ * Resolve a line height given as a length to pixels, as descendants inherit
+ * it. Numbers and `normal` are kept, since they scale with the font size of
+ * each descendant.
+ * @param {string} value - CSS line-height
+ * @param {number} fontSize - Font size of the element in pixels, for `em`
+ *   and percentages
+ * @param {number} rootFontSize - Font size of the root element in pixels
+ * @returns {string}
+ */
+const resolveLineHeight = (value, fontSize, rootFontSize) => {
+  const trimmed = String(value ?? "").trim();
+  if (!trimmed || trimmed === "normal" || /^[\d.]+$/.test(trimmed)) {
+    return value;
   }
+  const px = resolveLength(trimmed, PT_PER_PX, {
+    fontSize,
+    rootFontSize,
+    percentBase: fontSize,
+  });
+  return px === null ? value : `${px}px`;
 };
 
 /**
- * Parse CSS font weight to PDF font style
- * @param {string} fontWeight - CSS font weight
- * @param {string} fontStyle - CSS font style
- * @returns {string} PDF font style
+ * Get the line height of a style in points. Lengths are resolved to pixels
+ * with `resolveLineHeight` when the style is computed.
+ * @param {Object} style - Text style
+ * @param {number} fontSize - Font size in points
+ * @returns {number} Line height in points
  */
-const parseFontStyle = (fontWeight, fontStyle) => {
-  let style = "normal";
-
-  if (
-    fontWeight === "bold" ||
-    fontWeight === "bolder" ||
-    parseInt(fontWeight) >= 700
-  ) {
-    style = "bold";
-  }
-
-  if (fontStyle === "italic" || fontStyle === "oblique") {
-    style = style === "bold" ? "bolditalic" : "italic";
-  }
+const getLineHeight = (style, fontSize) => {
+  const value = String(style.lineHeight ?? "").trim();
+  if (!value || value === "normal") return fontSize * 1.2;
+  if (/^[\d.]+$/.test(value)) return fontSize * parseFloat(value);
+  const px = cssLengthToPx(value);
+  return px != null ? px * PT_PER_PX : fontSize * 1.2;
+};
 
-  return style;
+/**
+ * Get how far an inline box of a style reaches above and below the
+ * baseline, including half the leading on each side
+ * @param {jsPDF} pdf - PDF document
+ * @param {Object} style - Text style
+ * @returns {{ ascent: number, descent: number }} Distances in PDF units
+ */
+const getInlineMetrics = (pdf, style) => {
+  const fontSize = getFontSize(style);
+  const halfLeading = (getLineHeight(style, fontSize) - fontSize) / 2;
+  const { scaleFactor } = pdf.internal;
+  return {
+    ascent: (fontSize * FONT_ASCENT + halfLeading) / scaleFactor,
+    descent: (fontSize * (1 - FONT_ASCENT) + halfLeading) / scaleFactor,
+  };
 };
 
 /**
@@ -187,44 +367,38 @@ const parseFontStyle = (fontWeight, fontStyle) => {
  * @param {jsPDF} pdf - PDF document
  * @param {string} text - Text to measure
  * @param {Object} style - Text style
- * @param {string} [tagName] - HTML tag name for fallback font size
  * @returns {Object} Text dimensions
  */
-const getTextDimensions = (pdf, text, style, tagName = "P") => {
-  // Get font size from style, or use tag default, or fallback to 12
-  let fontSize =
-    parseInt(style.fontSize) ||
-    (tagName && tagNameToFontSize[tagName.toUpperCase()]) ||
-    tagNameToFontSize.P ||
-    12;
-
-  // Ensure minimum font size
-  fontSize = Math.max(fontSize, 8);
-
-  const fontStyle = parseFontStyle(style.fontWeight, style.fontStyle);
+const getTextDimensions = (pdf, text, style) => {
+  const fontSize = getFontSize(style);
 
   pdf.setFontSize(fontSize);
-  if (fontStyle === "bold") {
-    pdf.setFont(style.fontFamily || "GoNotoKurrentBold", "bold");
-  } else {
-    pdf.setFont(style.fontFamily || "GoNotoKurrentRegular", "normal");
-  }
+  useFont(pdf, style);
 
   const textWidth = pdf.getTextWidth(text);
-  const lineHeight = fontSize * (parseFloat(style.lineHeight) || 1.2);
-  const textHeight = lineHeight / pdf.internal.scaleFactor;
+  const textHeight = getLineHeight(style, fontSize) / pdf.internal.scaleFactor;
 
   return { width: textWidth, height: textHeight };
 };
 
 /**
- * Calculate element dimensions including borders, padding, etc.
+ * Calculate element dimensions including borders, padding, etc. Block
+ * boxes fill their container unless they have a width, and `auto` margins
+ * share out the space they leave.
  * @param {Element} element - DOM element
  * @param {CSSStyleDeclaration} style - Computed style
- * @param {number} contentWidth - Width of content area
- * @returns {Object} Element dimensions
+ * @param {number} contentWidth - Width of the content area of the container
+ * @param {number} scaleFactor - Points per PDF unit
+ * @param {number} [rootFontSize=16] - Font size of the root element in pixels
+ * @returns {Object} Element dimensions in PDF units
  */
-const getElementDimensions = (element, style, contentWidth) => {
+const getElementDimensions = (
+  element,
+  style,
+  contentWidth,
+  scaleFactor,
+  rootFontSize = DEFAULT_FONT_SIZE
+) => {
   const display = style.display;
   const isBlock =
     display === "block" ||
@@ -232,24 +406,70 @@ const getElementDimensions = (element, style, contentWidth) => {
     display === "grid" ||
     display === "table";
 
-  // Parse numeric values
-  const paddingTop = parseFloat(style.paddingTop) || 0;
-  const paddingRight = parseFloat(style.paddingRight) || 0;
-  const paddingBottom = parseFloat(style.paddingBottom) || 0;
-  const paddingLeft = parseFloat(style.paddingLeft) || 0;
-
-  const marginTop = parseFloat(style.marginTop) || 0;
-  const marginRight = parseFloat(style.marginRight) || 0;
-  const marginBottom = parseFloat(style.marginBottom) || 0;
-  const marginLeft = parseFloat(style.marginLeft) || 0;
-
-  const borderTopWidth = parseFloat(style.borderTopWidth) || 0;
-  const borderRightWidth = parseFloat(style.borderRightWidth) || 0;
-  const borderBottomWidth = parseFloat(style.borderBottomWidth) || 0;
-  const borderLeftWidth = parseFloat(style.borderLeftWidth) || 0;
+  const context = {
+    fontSize: cssLengthToPx(style.fontSize) ?? DEFAULT_FONT_SIZE,
+    rootFontSize,
+    percentBase: contentWidth,
+  };
+  // Convert CSS lengths to PDF units, percentages of the container width
+  const toUnits = (value) => resolveLength(value, scaleFactor, context) ?? 0;
+
+  const paddingTop = toUnits(style.paddingTop);
+  const paddingRight = toUnits(style.paddingRight);
+  const paddingBottom = toUnits(style.paddingBottom);
+  const paddingLeft = toUnits(style.paddingLeft);
+
+  const marginTop = toUnits(style.marginTop);
+  let marginRight = toUnits(style.marginRight);
+  const marginBottom = toUnits(style.marginBottom);
+  let marginLeft = toUnits(style.marginLeft);
+  const autoMargins = {
+    left: style.marginLeft === "auto",
+    right: style.marginRight === "auto",
+  };
 
-  // Calculate inner width (for block elements)
-  const innerWidth = isBlock ? contentWidth - marginLeft - marginRight : null;
+  // Sides without a border style have no width
+  const sides = getBorderSides(style, scaleFactor);
+  const [borderTopWidth, borderRightWidth, borderBottomWidth, borderLeftWidth] =
+    sides.map((side) => side.width);
+
+  // Sizes are of the border box, whichever box-sizing they are given in
+  const borderBox = style.boxSizing === "border-box";
+  const extraWidth =
+    borderLeftWidth + paddingLeft + paddingRight + borderRightWidth;
+  const extraHeight =
+    borderTopWidth + paddingTop + paddingBottom + borderBottomWidth;
+  const toBoxSize = (value, extra, percentBase) => {
+    const size = resolveLength(value, scaleFactor, { ...context, percentBase });
+    if (size === null) return null;
+    return Math.max(borderBox ? size : size + extra, extra);
+  };
+  const width = toBoxSize(style.width, extraWidth, contentWidth);
+  const minWidth = toBoxSize(style.minWidth, extraWidth, contentWidth) ?? 0;
+  const maxWidth =
+    toBoxSize(style.maxWidth, extraWidth, contentWidth) ?? Infinity;
+  // The height of the container isn't known before its content is laid
+  // out, so percentages of it are ignored
+  const height = toBoxSize(style.height, extraHeight, null);
+  const minHeight = toBoxSize(style.minHeight, extraHeight, null) ?? 0;
+  const maxHeight = toBoxSize(style.maxHeight, extraHeight, null) ?? Infinity;
+
+  let innerWidth = null;
+  if (isBlock) {
+    innerWidth = Math.max(
+      Math.min(width ?? contentWidth - marginLeft - marginRight, maxWidth),
+      minWidth
+    );
+    const free = contentWidth - marginLeft - innerWidth - marginRight;
+    if (free > 0 && autoMargins.left && autoMargins.right) {
+      marginLeft += free / 2;
+      marginRight += free / 2;
+    } else if (free > 0 && autoMargins.left) {
+      marginLeft += free;
+    } else if (free > 0 && autoMargins.right) {
+      marginRight += free;
+    }
+  }
 
   return {
     isBlock,
@@ -265,96 +485,45 @@ const getElementDimensions = (element, style, contentWidth) => {
       bottom: marginBottom,
       left: marginLeft,
     },
+    autoMargins,
     border: {
       top: borderTopWidth,
       right: borderRightWidth,
       bottom: borderBottomWidth,
       left: borderLeftWidth,
     },
+    sides,
+    // Border box sizes, null where they are auto
     innerWidth,
+    width,
+    height,
+    minWidth,
+    maxWidth,
+    minHeight,
+    maxHeight,
   };
 };
 
 /**
- * Render a text node with proper wrapping
- * @param {jsPDF} pdf - PDF document
- * @param {string} text - Text content
- * @param {number} x - X position
- * @param {number} y - Y position
- * @param {Object} style - Text style
- * @param {number} maxWidth - Maximum width
- * @param {string} [tagName] - HTML tag name for fallback font size
- * @returns {number} New Y position after rendering
+ * Drop the space `auto` margins were given, for boxes whose auto margins
+ * are 0 such as floats and flex items
+ * @param {Object} dimensions - Result of getElementDimensions
+ * @returns {Object} Dimensions with the auto margins set to 0
  */
-const renderTextNode = (pdf, text, x, y, style, maxWidth, tagName = "P") => {
-  if (!text.trim()) return y;
-
-  let fontSize =
-    parseInt(style.fontSize) ||
-    (tagName && tagNameToFontSize[tagName.toUpperCase()]) ||
-    tagNameToFontSize.P ||
-    12;
-
-  fontSize = Math.max(fontSize, 8);
-
-  const lineHeight = fontSize * (parseFloat(style.lineHeight) || 1.2);
-  const fontStyle = parseFontStyle(style.fontWeight, style.fontStyle);
-  const textAlign = style.textAlign || "left";
-
-  pdf.setFontSize(fontSize);
-  if (fontStyle === "bold") {
-    pdf.setFont(style.fontFamily || "GoNotoKurrentBold", "bold");
-  } else {
-    pdf.setFont(style.fontFamily || "GoNotoKurrentRegular", "normal");
-  }
-
-  // Apply text color
-  applyColor(pdf, style.color || "black", "text");
-
-  // Split text into lines with proper word wrapping
-  const words = text.trim().split(/\s+/);
-  const lines = [];
-  let currentLine = [];
-  let currentWidth = 0;
-
-  words.forEach((word) => {
-    const wordWidth = pdf.getTextWidth(word + " ");
-    if (currentWidth + wordWidth <= maxWidth) {
-      currentLine.push(word);
-      currentWidth += wordWidth;
-    } else {
-      if (currentLine.length > 0) {
-        lines.push(currentLine.join(" "));
-      }
-      currentLine = [word];
-      currentWidth = wordWidth;
-    }
-  });
-
-  if (currentLine.length > 0) {
-    lines.push(currentLine.join(" "));
-  }
-
-  // Render each line with proper alignment
-  lines.forEach((line, i) => {
-    let xPos = x;
-    const lineWidth = pdf.getTextWidth(line);
-
-    if (textAlign === "center") {
-      xPos = x + (maxWidth - lineWidth) / 2;
-    } else if (textAlign === "right") {
-      xPos = x + maxWidth - lineWidth;
-    }
-
-    const yPos = y + (i * lineHeight) / pdf.internal.scaleFactor;
-    pdf.text(line, xPos, yPos);
-  });
-
-  return y + (lines.length * lineHeight) / pdf.internal.scaleFactor;
+const withoutAutoMargins = (dimensions) => {
+  const { margin, autoMargins } = dimensions;
+  return {
+    ...dimensions,
+    margin: {
+      ...margin,
+      left: autoMargins.left ? 0 : margin.left,
+      right: autoMargins.right ? 0 : margin.right,
+    },
+  };
 };
 
 /**
- * Render background and borders for an element
+ * Render the shadow, background and borders of an element
  * @param {jsPDF} pdf - PDF document
  * @param {number} x - X position
  * @param {number} y - Y position
@@ -362,6 +531,8 @@ const renderTextNode = (pdf, text, x, y, style, maxWidth, tagName = "P") => {
  * @param {number} height - Element height
  * @param {Object} style - Element style
  * @param {Object} dimensions - Element dimensions
+ * @param {{ top: number, bottom: number }} [band] - Band of the page to
+ *   draw in, for the part of a box on one page
  */
 const renderElementBackground = (
   pdf,
@@ -370,278 +541,1741 @@ const renderElementBackground = (
   width,
   height,
   style,
-  dimensions
+  dimensions,
+  band
 ) => {
   // Save graphics state
   pdf.saveGraphicsState();
 
-  // Draw background if specified
-  const backgroundColor = style.backgroundColor;
-  if (
-    backgroundColor &&
-    backgroundColor !== "transparent" &&
-    backgroundColor !== "rgba(0, 0, 0, 0)"
-  ) {
-    applyColor(pdf, backgroundColor, "fill");
-    // Account for borders in background size
-    const bgX = x + dimensions.border.left / 2;
-    const bgY = y + dimensions.border.top / 2;
-    const bgWidth =
-      width - (dimensions.border.left + dimensions.border.right) / 2;
-    const bgHeight =
-      height - (dimensions.border.top + dimensions.border.bottom) / 2;
-    pdf.rect(bgX, bgY, bgWidth, bgHeight, "F");
+  if (band) {
+    pdf.rect(
+      0,
+      band.top,
+      pdf.internal.pageSize.getWidth(),
+      band.bottom - band.top,
+      null
+    );
+    pdf.clip();
+    pdf.discardPath();
   }
 
-  // Draw borders if specified
-  const borderTopWidth = dimensions.border.top;
-  const borderRightWidth = dimensions.border.right;
-  const borderBottomWidth = dimensions.border.bottom;
-  const borderLeftWidth = dimensions.border.left;
+  const box = { x, y, width, height };
+  const radii = getBorderRadii(style, box, pdf.internal.scaleFactor);
+  drawBoxShadow(pdf, box, radii, style, pdf.internal.scaleFactor);
+  if (isVisibleColor(style.backgroundColor)) {
+    drawBackgroundColor(pdf, box, radii, style.backgroundColor);
+  }
+  drawBorder(pdf, box, radii, dimensions.sides);
 
-  // Helper function to draw a border line
-  const drawBorderLine = (startX, startY, endX, endY, width, color) => {
-    if (width > 0) {
-      pdf.setLineWidth(width / pdf.internal.scaleFactor);
-      applyColor(pdf, color || "black", "fill");
-      pdf.line(startX, startY, endX, endY);
-    }
-  };
+  // Restore graphics state
+  pdf.restoreGraphicsState();
+};
 
-  // Draw borders in correct order (same as browsers: top, right, bottom, left)
-  // Top border
-  drawBorderLine(
-    x,
-    y + borderTopWidth / 2,
-    x + width,
-    y + borderTopWidth / 2,
-    borderTopWidth,
-    style.borderTopColor
-  );
+/**
+ * Load an image element and size it in PDF units
+ * @param {jsPDF} pdf - PDF document
+ * @param {HTMLImageElement} img - Image element
+ * @param {CSSStyleDeclaration} style - Computed style of the image
+ * @param {number} maxWidth - Maximum width
+ * @param {number} maxHeight - Maximum height
+ * @param {string} baseDir - Directory local image paths are resolved against
+ * @param {boolean} allowAbsolutePaths - Read absolute image paths outside
+ *   `baseDir`
+ * @returns {{ image: LoadedImage, width: number, height: number } | null}
+ *   Image ready to be drawn, or null if it can't be loaded
+ */
+const handleImageElement = (
+  pdf,
+  img,
+  style,
+  maxWidth,
+  maxHeight,
+  baseDir,
+  allowAbsolutePaths
+) => {
+  const image = loadImage(img.getAttribute("src"), baseDir, allowAbsolutePaths);
+  if (!image) return null;
 
-  // Right border
-  drawBorderLine(
-    x + width - borderRightWidth / 2,
-    y,
-    x + width - borderRightWidth / 2,
-    y + height,
-    borderRightWidth,
-    style.borderRightColor
-  );
+  // CSS sizes are in pixels, jsPDF works in its own unit
+  const { scaleFactor } = pdf.internal;
 
-  // Bottom border
-  drawBorderLine(
-    x,
-    y + height - borderBottomWidth / 2,
-    x + width,
-    y + height - borderBottomWidth / 2,
-    borderBottomWidth,
-    style.borderBottomColor
-  );
+  try {
+    const { width, height } = pdf.getImageProperties(image.data);
+    const size = getImageSize(
+      img,
+      style,
+      { width, height },
+      unitsToPx(maxWidth, scaleFactor),
+      unitsToPx(maxHeight, scaleFactor)
+    );
+    return {
+      image,
+      width: pxToUnits(size.width, scaleFactor),
+      height: pxToUnits(size.height, scaleFactor),
+    };
+  } catch (err) {
+    console.error("Error reading image:", err);
+    return null;
+  }
+};
 
-  // Left border
-  drawBorderLine(
-    x + borderLeftWidth / 2,
-    y,
-    x + borderLeftWidth / 2,
-    y + height,
-    borderLeftWidth,
-    style.borderLeftColor
-  );
+/**
+ * Render the marker of a list item before the start of its content, to
+ * the left of it or to the right in right-to-left lists
+ * @param {jsPDF} pdf - PDF document
+ * @param {ListStyleType} type - Marker style
+ * @param {number} value - Item number
+ * @param {number} x - X position of the start edge of the item content
+ * @param {number} y - Baseline of the item's first line
+ * @param {Object} style - Item style
+ */
+const renderListMarker = (pdf, type, value, x, y, style) => {
+  const fontSize = getFontSize(style);
+  const fontSizeInUnits = fontSize / pdf.internal.scaleFactor;
+  const direction = getDirection(style);
+  const gap = fontSizeInUnits * 0.5 * (direction === "rtl" ? -1 : 1);
+
+  if (isBulletType(type)) {
+    const size = fontSizeInUnits * 0.35;
+    // Center the bullet on the x-height of the first line
+    const cx = x - gap - (Math.sign(gap) * size) / 2;
+    withColor(pdf, style.color, "fill", () => {
+      withColor(pdf, style.color, "draw", () => {
+        drawBullet(pdf, type, cx, y - fontSizeInUnits * 0.3, size);
+      });
+    });
+    return;
+  }
 
-  // Restore graphics state
-  pdf.restoreGraphicsState();
+  const text = getListMarkerText(type, value);
+  if (!text) return;
+
+  pdf.setFontSize(fontSize);
+  useFont(pdf, style);
+  withColor(pdf, style.color, "text", () => {
+    pdf.text(text, x - gap, y, {
+      ...getBidiTextOptions(direction),
+      align: direction === "rtl" ? "left" : "right",
+    });
+  });
 };
 
 /**
- * Handle image elements
+ * Render a table element with jspdf-autotable
  * @param {jsPDF} pdf - PDF document
- * @param {HTMLImageElement} img - Image element
- * @param {number} x - X position
- * @param {number} y - Y position
- * @param {number} maxWidth - Maximum width
- * @returns {Promise<number>} New Y position after rendering
+ * @param {HTMLTableElement} table - Table element
+ * @param {DOMWindow} window - Window the table belongs to
+ * @param {Object} layout - Table placement
+ * @param {Object} layout.style - Style of the table, with inherited fonts
+ * @param {number} layout.x - X position
+ * @param {number} layout.y - Y position
+ * @param {number} layout.width - Available width
+ * @param {PageFrame} layout.frame - Content area of each page
+ * @param {boolean} [layout.avoidBreak=false] - Start the table on a new
+ *   page if that keeps it on one page
+ * @param {() => void} [layout.onAddPage] - Called on each page the table
+ *   adds, before drawing on it
+ * @returns {number} New Y position after rendering
+ */
+const renderTable = (
+  pdf,
+  table,
+  window,
+  { style, x, y, width, frame, avoidBreak = false, onAddPage }
+) => {
+  const supportedFonts = Object.keys(pdf.getFontList());
+  const startPage = pdf.getCurrentPageInfo().pageNumber;
+  const scaleFactor = pdf.internal.scaleFactor;
+  const { head, body, foot } = parseHtmlTable(
+    supportedFonts,
+    table,
+    scaleFactor,
+    window
+  );
+  const tableStyles = parseCss(supportedFonts, table, scaleFactor, window);
+  // Fill of the cell being drawn, while autotable is kept from drawing it
+  /** @type {number[] | null} */
+  let translucentFill = null;
+  // Whether the cell being drawn changed the opacity
+  let cellStateSaved = false;
+
+  /** @type {UserOptions} */
+  const tableOptions = {
+    head,
+    body,
+    foot,
+    startY: y,
+    margin: {
+      top: frame.top,
+      bottom: pdf.internal.pageSize.getHeight() - frame.bottom,
+      left: x,
+      right: pdf.internal.pageSize.getWidth() - x - width,
+    },
+    theme: "plain",
+    tableLineWidth:
+      typeof tableStyles.lineWidth === "number" ? tableStyles.lineWidth : 0,
+    tableLineColor: tableStyles.lineColor,
+    showHead: "everyPage",
+    showFoot: "lastPage",
+    pageBreak: avoidBreak ? "avoid" : "auto",
+    willDrawPage: () => {
+      if (onAddPage && pdf.getCurrentPageInfo().pageNumber !== startPage) {
+        onAddPage();
+      }
+    },
+    // Cells use the font of their own style, falling back to the table's
+    didParseCell: ({ cell }) => {
+      const cellStyle =
+        cell.raw instanceof window.Element
+          ? window.getComputedStyle(cell.raw)
+          : {};
+      const { fontName, fontStyle } = loadFont(pdf, {
+        fontFamily: cellStyle.fontFamily || style.fontFamily,
+        fontWeight: cell.styles.fontStyle.includes("bold") ? "bold" : "normal",
+        fontStyle: cell.styles.fontStyle.includes("italic")
+          ? "italic"
+          : "normal",
+      });
+      cell.styles.font = fontName;
+      cell.styles.fontStyle = fontStyle;
+    },
+    // autotable has no opacity, so translucent fills are drawn here and
+    // translucent text and borders get it from the graphics state
+    willDrawCell: ({ cell }) => {
+      const {
+        fillColor,
+        fillOpacity = 1,
+        textOpacity = 1,
+        lineOpacity = 1,
+      } = cell.styles;
+      if (Array.isArray(fillColor) && fillOpacity < 1) {
+        withColor(
+          pdf,
+          `rgb(${fillColor.join(" ")} / ${fillOpacity})`,
+          "fill",
+          () => {
+            pdf.rect(cell.x, cell.y, cell.width, cell.height, "F");
+          }
+        );
+        translucentFill = fillColor;
+        cell.styles.fillColor = false;
+      }
+      if (textOpacity < 1 || lineOpacity < 1) {
+        pdf.saveGraphicsState();
+        pdf.setGState(
+          new pdf.GState({
+            opacity: textOpacity,
+            "stroke-opacity": lineOpacity,
+          })
+        );
+        cellStateSaved = true;
+      }
+    },
+    didDrawCell: ({ cell }) => {
+      if (translucentFill) {
+        cell.styles.fillColor = translucentFill;
+        translucentFill = null;
+      }
+      if (cellStateSaved) {
+        pdf.restoreGraphicsState();
+        cellStateSaved = false;
+      }
+    },
+  };
+
+  pdf.autoTable(tableOptions);
+
+  return pdf.lastAutoTable.finalY;
+};
+
+/**
+ * Describe how the text of a run breaks into lines
+ * @param {InlineRun} run
+ * @returns {TextRun<InlineRun>}
  */
-const handleImageElement = async (pdf, img, x, y, maxWidth) => {
-  if (!img.complete || !img.naturalWidth) return y;
+const getTextRun = (run) => ({
+  text: transformText(run.text, run.style.textTransform),
+  whiteSpace: run.style.whiteSpace,
+  wordBreak: run.style.wordBreak,
+  overflowWrap: run.style.overflowWrap,
+  hyphens: run.style.hyphens,
+  // Tab sizes given as lengths keep the default
+  tabSize: /^\d+$/.test(run.style.tabSize)
+    ? Number(run.style.tabSize)
+    : undefined,
+  lang: run.lang,
+  lineBreak: run.lineBreak,
+  run,
+});
 
-  // Calculate image dimensions
-  const imgWidth = parseFloat(img.width) || img.naturalWidth;
-  const imgHeight = parseFloat(img.height) || img.naturalHeight;
+/**
+ * Create an empty document with the same page size, unit and fonts as
+ * `pdf`, for layout passes whose output is thrown away
+ * @param {jsPDF} pdf - PDF document to mirror
+ * @returns {jsPDF} Scratch document
+ */
+const createLayoutPdf = (pdf) => {
+  const width = pdf.internal.pageSize.getWidth();
+  const height = pdf.internal.pageSize.getHeight();
+  const layoutPdf = new jsPDF({
+    unit: pdf.internal.scaleFactor,
+    format: [width, height],
+    orientation: width > height ? "landscape" : "portrait",
+  });
 
-  // Scale image if needed
-  const scaleFactor = imgWidth > maxWidth ? maxWidth / imgWidth : 1;
-  const finalWidth = imgWidth * scaleFactor;
-  const finalHeight = imgHeight * scaleFactor;
+  copyDocumentFonts(pdf, layoutPdf);
+  Object.entries(pdf.getFontList()).forEach(([fontName, fontStyles]) => {
+    fontStyles.forEach((fontStyle) => {
+      const font = pdf.getFont(fontName, fontStyle);
+      if (pdf.existsFileInVFS(font.postScriptName)) {
+        layoutPdf.addFileToVFS(
+          font.postScriptName,
+          pdf.getFileFromVFS(font.postScriptName)
+        );
+        layoutPdf.addFont(
+          font.postScriptName,
+          fontName,
+          fontStyle,
+          undefined,
+          font.encoding
+        );
+      }
+    });
+  });
 
-  // Add image to PDF
-  try {
-    if (img.src.startsWith("data:")) {
-      pdf.addImage(img.src, "JPEG", x, y, finalWidth, finalHeight);
-    } else {
-      // For external images, you might need to fetch them
-      // This is a simplified approach
-      pdf.addImage(img.src, "JPEG", x, y, finalWidth, finalHeight);
+  return layoutPdf;
+};
+
+/**
+ * Fill in the inherited properties of a computed style, which jsdom
+ * leaves empty unless the element sets them itself
+ * @param {Element} element - Element the style belongs to
+ * @param {CSSStyleDeclaration} style - Computed style of the element
+ * @param {Object} parentStyle - Style of the parent, already filled in
+ */
+const inheritStyle = (element, style, parentStyle) => {
+  // The dir attribute sets the direction unless CSS does
+  if (!style.direction) {
+    style.direction = getDirAttribute(element) ?? "";
+  }
+
+  for (const property of INHERITED_PROPERTIES) {
+    if (!style[property] && parentStyle[property]) {
+      style[property] = parentStyle[property];
     }
-    return y + finalHeight;
-  } catch (err) {
-    console.error("Error adding image to PDF:", err);
-    return y;
   }
 };
 
 /**
- * Process HTML and convert to PDF
+ * Pick the inherited properties of a style, for content that is laid out
+ * away from its parent
+ * @param {Object} style - Style to inherit from
+ * @returns {Record<string, string>}
+ */
+const getInheritedStyle = (style) =>
+  Object.fromEntries(
+    ["color", "fontSize", ...INHERITED_PROPERTIES]
+      .filter((property) => style[property])
+      .map((property) => [property, style[property]])
+  );
+
+/**
+ * Get the default page margins from the layout options
+ * @param {jsPDF} pdf - PDF document
+ * @param {LayoutOptions} options - Layout options
+ * @returns {Spacing} Margins in PDF units
+ */
+const getPageMargin = (pdf, { margin, pagePadding = "20mm" }) => {
+  const { scaleFactor } = pdf.internal;
+  // Numbers are PDF units, as before lengths were accepted
+  const padding =
+    typeof pagePadding === "number"
+      ? `${pagePadding * scaleFactor}pt`
+      : pagePadding;
+  const fallback = resolveMargin(padding, scaleFactor, {
+    top: 0,
+    right: 0,
+    bottom: 0,
+    left: 0,
+  });
+  return resolveMargin(margin, scaleFactor, fallback);
+};
+
+/**
+ * Inline the styles of HTML and parse it
+ * @param {string} html - HTML content with its `<style>` elements
+ * @returns {DOMWindow} Window of the parsed document
+ */
+const parseStyledHtml = (html) => {
+  const { window } = new JSDOM(juice(html));
+  // Styles are inlined by now, so this covers every color of the document
+  window.document.querySelectorAll("[style]").forEach((element) => {
+    element.setAttribute(
+      "style",
+      normalizeColorSyntax(element.getAttribute("style") ?? "")
+    );
+  });
+  return window;
+};
+
+/**
+ * Lay out and draw HTML into the PDF
  * @param {Object} params
  * @param {jsPDF} params.pdf - The PDF document
  * @param {string} params.html - HTML content
  * @param {LayoutOptions} [params.options] - Layout options
+ * @param {PageFrame} [params.frame] - Fixed content area, used instead of
+ *   the `@page` rules of the HTML
+ * @param {boolean} [params.paginate=true] - Start new pages when content
+ *   overflows the frame, instead of letting it run past the bottom
+ * @param {{ top: number, bottom: number }} [params.reserved] - Space kept
+ *   free inside the page margins, for headers and footers
+ * @param {(number | null)[]} [params.tocPageNumbers] - Page number to print
+ *   for each table of contents entry, from an earlier layout pass
+ * @param {LayoutRoot} [params.root] - Element of a parsed document to lay
+ *   out instead of `html`
+ * @param {MeasuredHeights} [params.measuredHeights] - Heights measured so
+ *   far, shared with the layout passes that measure elements
+ * @returns {{ endY: number, tocPositions: (AnchorPosition | null)[], pageFrames: Map<number, PageFrame> }}
+ *   Y position after the content, where the headings listed in the table
+ *   of contents were rendered, and the content area of each page
  */
-export const insertHtmlToPdf = ({ pdf, html, options = {} }) => {
+const renderHtml = ({
+  pdf,
+  html,
+  options = {},
+  frame,
+  paginate = true,
+  reserved = { top: 0, bottom: 0 },
+  tocPageNumbers = [],
+  root,
+  measuredHeights = new WeakMap(),
+}) => {
   const {
-    pagePadding = 20,
     lineHeight = 1.2,
     paragraphSpacing = 10,
     debug = false,
-    defaultFont = "GoNotoKurrentRegular",
+    defaultFont = DEFAULT_FONT_FAMILY,
+    stylesheet = "",
+    baseDir = process.cwd(),
+    allowAbsolutePaths = false,
+    outline = true,
   } = options;
 
-  // Process HTML with juice to inline CSS
-  const processedHtml = juice(html);
+  // The base stylesheet and the one from the options come before the
+  // document's own styles, which override them. juice only styles the
+  // root element of whole documents.
+  const documentHtml = /<html[\s>]/i.test(html) ? html : `<html>${html}</html>`;
+  const styledHtml = root
+    ? ""
+    : `<style>${getUserAgentStylesheet({
+        lineHeight,
+        paragraphSpacing,
+        defaultFont,
+      })}</style><style>${stylesheet}</style>${documentHtml}`;
+
+  // An element being measured is laid out in the document it is in,
+  // which is styled already
+  const window = root
+    ? /** @type {DOMWindow} */ (root.element.ownerDocument.defaultView)
+    : parseStyledHtml(styledHtml);
+  const document = window.document;
+
+  // Fonts from @font-face rules, which juice drops too
+  if (!root) {
+    const faces = parseFontFaceRules(styledHtml, baseDir, allowAbsolutePaths);
+    addDocumentFonts(pdf, faces);
+  }
 
-  // Create DOM from processed HTML
-  const dom = new JSDOM(processedHtml);
-  const document = dom.window.document;
+  // Page size and margins come from @page rules, which juice drops
+  const pageRules = frame ? [] : parsePageRules(styledHtml);
+  const defaultPageBox = {
+    width: pdf.internal.pageSize.getWidth(),
+    height: pdf.internal.pageSize.getHeight(),
+    margin: getPageMargin(pdf, options),
+  };
 
-  // Get page dimensions
-  const pageWidth = pdf.internal.pageSize.getWidth();
-  const pageHeight = pdf.internal.pageSize.getHeight();
-  const contentWidth = pageWidth - pagePadding * 2;
+  /**
+   * Resolve the size and margins of a page
+   * @param {string} name - Page name, "" for unnamed pages
+   * @param {boolean} first - Whether it is the first page of the document
+   * @returns {PageBox}
+   */
+  const getPageBox = (name, first) =>
+    resolvePageBox(
+      pageRules,
+      { name, first },
+      defaultPageBox,
+      pdf.internal.scaleFactor
+    );
 
-  // Current position in the document
-  let currentX = pagePadding;
-  let currentY = pagePadding;
-  let inlineXOffset = 0;
-  let inlineHeight = 0;
+  /**
+   * Content area of a page
+   * @param {PageBox} box
+   * @returns {PageFrame}
+   */
+  const getPageFrame = (box) => ({
+    top: box.margin.top + reserved.top,
+    bottom: box.height - box.margin.bottom - reserved.bottom,
+    left: box.margin.left,
+    right: box.width - box.margin.right,
+  });
 
-  // Store pending inline elements to handle line breaks
+  let pageBox = getPageBox("", pdf.getCurrentPageInfo().pageNumber === 1);
+  let pageFrame = frame ?? getPageFrame(pageBox);
+
+  // Content area of every page rendered on, for headers and footers
+  /** @type {Map<number, PageFrame>} */
+  const pageFrames = new Map([
+    [pdf.getCurrentPageInfo().pageNumber, pageFrame],
+  ]);
+  // Size and margins of every page rendered on
+  /** @type {Map<number, PageBox>} */
+  const pageBoxes = new Map([[pdf.getCurrentPageInfo().pageNumber, pageBox]]);
+
+  // Page name the content being rendered asks for
+  let pageName = "";
+  // Whether a forced break is waiting for the next content
+  let pageBreakPending = false;
+  // Whether anything was drawn on the current page yet
+  let pageIsBlank = true;
+  // Number of enclosing blocks measured to fit on the current page
+  let unbreakableDepth = 0;
+
+  // Current position in the document, and where lines end
+  let currentX = pageFrame.left;
+  let currentY = pageFrame.top;
+  let currentRight = pageFrame.right;
+  // Font size of the root element in pixels, for `rem` lengths
+  let rootFontSize = DEFAULT_FONT_SIZE;
+
+  // Text and line breaks waiting to be laid out as line boxes
+  /** @type {InlineRun[]} */
   let pendingInlineElements = [];
+  // Style of the block the pending inline content belongs to
+  /** @type {Object} */
+  let inlineContainerStyle = {};
+
+  // Rendered headings, in document order
+  /** @type {Heading[]} */
+  const headings = [];
+
+  // Where elements with an id were rendered, for internal links
+  /** @type {Map<string, AnchorPosition>} */
+  const anchors = new Map();
+
+  // Internal link annotations, resolved once all anchors are known
+  /** @type {{ getTarget: () => AnchorPosition | undefined | null, options: Object }[]} */
+  const internalLinks = [];
+
+  /**
+   * Add a link annotation to a position in this document on the current page
+   * @param {Rect} rect - Clickable area
+   * @param {() => AnchorPosition | undefined | null} getTarget - Returns
+   *   the destination once rendering is done
+   */
+  const addInternalLink = (rect, getTarget) => {
+    // jsPDF reads the options when the document is written, so the
+    // destination can be filled in after the target has been rendered
+    const options = {};
+    internalLinks.push({ getTarget, options });
+    pdf.link(rect.x, rect.y, rect.width, rect.height, options);
+  };
 
-  // Function to flush pending inline elements
-  const flushInlineElements = () => {
-    if (pendingInlineElements.length === 0) return;
+  /**
+   * Add a link annotation over a rendered text line on the current page
+   * @param {string} href - Link target
+   * @param {Rect} rect - Box of the rendered line
+   */
+  const addLink = (href, rect) => {
+    if (href.startsWith("#")) {
+      const id = decodeURIComponent(href.slice(1));
+      addInternalLink(rect, () => anchors.get(id));
+    } else if (!/^javascript:/i.test(href)) {
+      pdf.link(rect.x, rect.y, rect.width, rect.height, { url: href });
+    }
+  };
 
-    // Calculate baseline for text alignment
-    const maxHeight = Math.max(
-      ...pendingInlineElements.map((el) =>
-        el.type === "text"
-          ? getTextDimensions(pdf, el.text, el.style, el.tagName).height
-          : 0
-      )
-    );
+  // Headings listed in the table of contents and where they were rendered
+  const tocPlaceholder = document.querySelector(TOC_SELECTOR);
+  const tocHeadings = tocPlaceholder
+    ? getTocHeadings(document, tocPlaceholder, window)
+    : [];
+  /** @type {(AnchorPosition | null)[]} */
+  const tocPositions = tocHeadings.map(() => null);
+
+  // Counters of the UL/OL elements being processed, innermost last
+  /** @type {ListContext[]} */
+  const listStack = [];
+
+  // Default list indentation, 40px like browsers
+  const listIndent = pxToUnits(40, pdf.internal.scaleFactor);
+
+  // Floats placed so far, which lines of text wrap around
+  /** @type {FloatBox[]} */
+  const floats = [];
+  // Absolutely positioned elements waiting for the size of their
+  // containing block, one list per positioned ancestor, innermost last
+  /** @type {OutOfFlowElement[][]} */
+  const absoluteElements = [];
+  // Elements with `position: fixed`, which are drawn on every page
+  /** @type {OutOfFlowElement[]} */
+  const fixedElements = [];
+  // Length of the content stream of each page started while rendering,
+  // before anything was drawn on it
+  /** @type {Map<number, number>} */
+  const pageContentStarts = new Map();
+  // Numbering of the code block whose lines are being laid out
+  /** @type {LineNumbers | null} */
+  let lineNumbers = null;
+  // Padding and borders that boxes with `box-decoration-break: clone`
+  // repeat at the top and bottom of each page they go on to
+  let cloneInsets = { top: 0, bottom: 0 };
+
+  /** Bottom of the space content flows into on the current page */
+  const getFlowBottom = () => pageFrame.bottom - cloneInsets.bottom;
+
+  /**
+   * Draw on a page below what was drawn on it after a point in its content
+   * stream, for boxes whose size is only known after their content
+   * @param {number} pageNumber
+   * @param {number} index - Length the content stream had at that point
+   * @param {() => void} draw
+   */
+  const drawBelowContent = (pageNumber, index, draw) => {
+    const flowPage = pdf.getCurrentPageInfo().pageNumber;
+    if (pageNumber !== flowPage) pdf.setPage(pageNumber);
+    const content = pdf.internal.pages[pageNumber];
+    const length = content.length;
+    draw();
+    content.splice(index, 0, ...content.splice(length));
+    if (pageNumber !== flowPage) pdf.setPage(flowPage);
+  };
 
-    // Render all inline elements with proper baseline alignment
-    pendingInlineElements.forEach((el) => {
-      if (el.type === "text") {
-        const dims = getTextDimensions(pdf, el.text, el.style, el.tagName);
-        const baseline = maxHeight - dims.height;
-        renderTextNode(
-          pdf,
-          el.text,
-          el.x,
-          currentY + baseline,
-          el.style,
-          contentWidth,
-          el.tagName
-        );
-      }
-    });
+  /**
+   * Select the font of a run for measuring and drawing its text
+   * @param {InlineRun} run
+   * @param {number} [scale=1] - Scale of the font size, for small capitals
+   */
+  const setRunFont = (run, scale = 1) => {
+    pdf.setFontSize(getFontSize(run.style) * scale);
+    useFont(pdf, run.style);
+  };
 
-    currentY += maxHeight;
-    pendingInlineElements = [];
-    inlineXOffset = 0;
-    inlineHeight = 0;
+  /**
+   * Get the space `letter-spacing` adds after each character of a run and
+   * `word-spacing` after each space
+   * @param {InlineRun} run
+   * @returns {{ letter: number, word: number }} Spacing in PDF units
+   */
+  const getRunSpacing = (run) => ({
+    letter: resolveElementLength(run.style.letterSpacing, run.style, null) ?? 0,
+    word: resolveElementLength(run.style.wordSpacing, run.style, null) ?? 0,
+  });
+
+  /**
+   * Split text of a run into the parts drawn at one font size, which are
+   * more than one when lowercase letters become small capitals
+   * @param {InlineRun} run
+   * @param {string} text
+   * @returns {{ text: string, scale: number }[]}
+   */
+  const getRunSegments = (run, text) => {
+    const smallCaps = getSmallCaps(run.style);
+    if (!smallCaps) return [{ text, scale: 1 }];
+    return splitSmallCaps(text, smallCaps).map((segment) => ({
+      text: segment.text,
+      scale: segment.small ? SMALL_CAPS_SCALE : 1,
+    }));
   };
 
-  // Function to check if we need a new page
-  const checkForNewPage = (neededHeight) => {
-    if (currentY + neededHeight > pageHeight - pagePadding) {
-      pdf.addPage();
-      currentY = pagePadding;
-      return true;
+  /**
+   * Measure text in the font of a run
+   * @param {InlineRun} run
+   * @param {string} text
+   * @returns {number}
+   */
+  const measureRunText = (run, text) => {
+    const spacing = getRunSpacing(run);
+    let width = spacing.word * (text.match(/ /g)?.length ?? 0);
+    for (const segment of getRunSegments(run, text)) {
+      setRunFont(run, segment.scale);
+      width +=
+        pdf.getTextWidth(segment.text) +
+        spacing.letter * [...segment.text].length;
     }
-    return false;
+    return width;
   };
 
-  // Process DOM nodes recursively
-  const processNode = (node, parentStyle = {}) => {
-    // Skip comments and other non-element/text nodes
-    if (
-      node.nodeType !== NODE_TYPE.ELEMENT_NODE &&
-      node.nodeType !== NODE_TYPE.TEXT_NODE
-    ) {
-      return;
+  /**
+   * Draw text in the font and color of a run, without word spacing
+   * @param {InlineRun} run
+   * @param {string} text
+   * @param {number} x - Start of the text
+   * @param {number} y - Baseline of the text
+   * @param {Direction} direction - Direction of the text
+   * @returns {number} End of the text
+   */
+  const drawRunText = (run, text, x, y, direction) => {
+    const { letter } = getRunSpacing(run);
+    let end = x;
+    for (const segment of getRunSegments(run, text)) {
+      setRunFont(run, segment.scale);
+      withColor(pdf, run.style.color, "text", () => {
+        pdf.text(segment.text, end, y, {
+          ...getBidiTextOptions(direction),
+          charSpace: letter,
+        });
+      });
+      end += pdf.getTextWidth(segment.text) + letter * [...segment.text].length;
     }
+    return end;
+  };
 
-    // Get computed style for the node
-    const style =
-      node.nodeType === NODE_TYPE.ELEMENT_NODE
-        ? dom.window.getComputedStyle(node)
-        : parentStyle;
+  /**
+   * Lay out the pending inline content in line boxes that break at word
+   * boundaries across runs, and draw them
+   */
+  const flushInlineElements = () => {
+    if (pendingInlineElements.length === 0) return;
+    const runs = pendingInlineElements;
+    pendingInlineElements = [];
 
-    // Get parent tag name for font size inheritance
-    const parentTagName = node.parentElement ? node.parentElement.tagName : "P";
+    const direction = getDirection(inlineContainerStyle);
+    const start = resolveTextAlign("start", direction);
+    const textAlign = resolveTextAlign(
+      inlineContainerStyle.textAlign,
+      direction
+    );
+    // `auto` aligns the last line like the others, but not justified
+    const { textAlignLast = "auto" } = inlineContainerStyle;
+    const lastLineAlign =
+      textAlignLast && textAlignLast !== "auto"
+        ? resolveTextAlign(textAlignLast, direction)
+        : textAlign === "justify"
+          ? start
+          : textAlign;
+    const width = currentRight - currentX;
+
+    // Every line is at least as tall as the block's own font
+    const strut = getInlineMetrics(pdf, inlineContainerStyle);
+    const strutHeight = strut.ascent + strut.descent;
+
+    /**
+     * How far `vertical-align` raises a run above the baseline of the line
+     * @param {InlineRun} run
+     */
+    const getRunShift = (run) =>
+      pxToUnits(
+        (run.style.baselineOffset ?? 0) -
+          (inlineContainerStyle.baselineOffset ?? 0),
+        pdf.internal.scaleFactor
+      );
 
-    // Text nodes
-    if (node.nodeType === NODE_TYPE.TEXT_NODE) {
-      const text = node.textContent.trim();
-      if (!text) return;
+    /**
+     * @param {LineBox<InlineRun>} line
+     * @returns {{ ascent: number, descent: number }}
+     */
+    const getLineMetrics = (line) => {
+      let { ascent, descent } = strut;
+      for (const { run } of line.fragments) {
+        const metrics = getInlineMetrics(pdf, run.style);
+        const shift = getRunShift(run);
+        ascent = Math.max(ascent, metrics.ascent + shift);
+        descent = Math.max(descent, metrics.descent - shift);
+      }
+      return { ascent, descent };
+    };
+
+    /**
+     * Edges of a line at a position on the current page, moved in by the
+     * floats beside it
+     * @param {number} y - Top of the line
+     */
+    const getEdges = (y) =>
+      getLineEdges(
+        floats,
+        pdf.getCurrentPageInfo().pageNumber,
+        y,
+        strutHeight,
+        currentX,
+        currentRight
+      );
 
-      // Use parent style for text nodes
-      const textDimensions = getTextDimensions(
-        pdf,
-        text,
-        parentStyle,
-        parentTagName
+    // Lines beside floats are shorter, so where each line goes is worked
+    // out from the heights of the lines before it
+    let nextY = currentY;
+    let placedLines = 0;
+    let pageBreaks = false;
+    /** @param {LineBox<InlineRun>[]} previousLines */
+    const getLineWidth = (previousLines) => {
+      for (; placedLines < previousLines.length; placedLines++) {
+        const { ascent, descent } = getLineMetrics(previousLines[placedLines]);
+        if (
+          paginate &&
+          unbreakableDepth === 0 &&
+          nextY + ascent + descent > getFlowBottom()
+        ) {
+          // The floats are left behind on this page
+          pageBreaks = true;
+          nextY = pageFrame.top + cloneInsets.top;
+        }
+        nextY += ascent + descent;
+      }
+      if (pageBreaks) return width;
+      const edges = getEdges(nextY);
+      return edges.right - edges.left;
+    };
+    const besideFloats = floats.some(
+      (box) => box.pageNumber === pdf.getCurrentPageInfo().pageNumber
+    );
+
+    const items = splitInlineItems(runs.map(getTextRun), measureRunText);
+    const lines = breakLines(items, besideFloats ? getLineWidth : width);
+    if (lines.length === 0) return;
+
+    // Text after a forced break goes on the next page
+    startPendingPage();
+
+    const pageBreakLines =
+      paginate && unbreakableDepth === 0
+        ? getLineBreaks(
+            lines.map((line) => {
+              const { ascent, descent } = getLineMetrics(line);
+              return ascent + descent;
+            }),
+            currentY,
+            pageFrame.top + cloneInsets.top,
+            getFlowBottom(),
+            getLineLimit(inlineContainerStyle, "orphans"),
+            getLineLimit(inlineContainerStyle, "widows"),
+            pageIsBlank
+          )
+        : new Set();
+
+    for (const [index, line] of lines.entries()) {
+      const { ascent, descent } = getLineMetrics(line);
+      const height = ascent + descent;
+      if (pageBreakLines.has(index)) startNewPage();
+      const edges = getEdges(currentY);
+
+      // Overflowing lines start at the start edge
+      const free = Math.max(edges.right - edges.left - line.width, 0);
+      let align = line.last ? lastLineAlign : textAlign;
+      if (free === 0) align = start;
+
+      // Justified lines stretch at their spaces
+      let spacing = 0;
+      if (align === "justify") {
+        const spaces = line.fragments.reduce(
+          (count, { text }) => count + (text.match(/ /g)?.length ?? 0),
+          0
+        );
+        if (spaces > 0) {
+          spacing = free / spaces;
+        } else {
+          align = start;
+        }
+      }
+
+      let x = edges.left;
+      if (align === "center") {
+        x += free / 2;
+      } else if (align === "right") {
+        x += free;
+      }
+
+      const baseline = currentY + ascent;
+      if (lineNumbers) {
+        if (lineNumbers.lineStart) {
+          setRunFont({ text: "", style: inlineContainerStyle });
+          withColor(pdf, LINE_NUMBER_COLOR, "text", () => {
+            pdf.text(
+              String(lineNumbers.next),
+              currentX - lineNumbers.gap,
+              baseline,
+              { align: "right" }
+            );
+          });
+          lineNumbers.next++;
+        }
+        lineNumbers.lineStart = line.last;
+      }
+      for (const piece of getVisualOrder(line.fragments, direction)) {
+        const { run } = piece;
+        const pieceX = x;
+
+        // Words are drawn one by one to stretch the spaces between them
+        const stretched = spacing > 0 || getRunSpacing(run).word !== 0;
+        const parts = stretched
+          ? piece.text.split(/( +)/).filter(Boolean)
+          : [piece.text];
+        if (piece.direction === "rtl") parts.reverse();
+        for (const part of parts) {
+          if (stretched && part[0] === " ") {
+            x += measureRunText(run, part) + spacing * part.length;
+          } else {
+            x = drawRunText(
+              run,
+              part,
+              x,
+              baseline - getRunShift(run),
+              piece.direction
+            );
+          }
+        }
+
+        for (const decoration of run.style.textDecorations ?? []) {
+          drawTextDecoration(
+            pdf,
+            decoration,
+            pieceX,
+            x - pieceX,
+            // Decorations are placed from the unshifted baseline
+            baseline +
+              pxToUnits(
+                inlineContainerStyle.baselineOffset ?? 0,
+                pdf.internal.scaleFactor
+              )
+          );
+        }
+
+        if (run.href) {
+          addLink(run.href, {
+            x: pieceX,
+            y: currentY,
+            width: x - pieceX,
+            height,
+          });
+        }
+      }
+
+      currentY += height;
+    }
+
+    pageIsBlank = false;
+  };
+
+  /**
+   * Give the current page a new size and margins, keeping the position
+   * relative to its content area
+   * @param {PageBox} box
+   */
+  const applyPageBox = (box) => {
+    const { pageSize } = pdf.internal;
+    if (
+      pageSize.getWidth() !== box.width ||
+      pageSize.getHeight() !== box.height
+    ) {
+      pageSize.setWidth(box.width);
+      pageSize.setHeight(box.height);
+    }
+
+    const previousFrame = pageFrame;
+    pageBox = box;
+    pageFrame = getPageFrame(box);
+    pageBoxes.set(pdf.getCurrentPageInfo().pageNumber, box);
+    pageFrames.set(pdf.getCurrentPageInfo().pageNumber, pageFrame);
+    currentX += pageFrame.left - previousFrame.left;
+    currentY += pageFrame.top - previousFrame.top;
+    currentRight += pageFrame.right - previousFrame.right;
+  };
+
+  /**
+   * Go back or on to a page rendered on before, keeping the position
+   * relative to its content area
+   * @param {number} pageNumber
+   */
+  const setCurrentPage = (pageNumber) => {
+    if (pageNumber === pdf.getCurrentPageInfo().pageNumber) return;
+    pdf.setPage(pageNumber);
+    applyPageBox(pageBoxes.get(pageNumber) ?? pageBox);
+  };
+
+  /**
+   * Continue on a new page
+   * @param {string} [name] - Name of the new page, defaults to the current one
+   */
+  const startNewPage = (name = pageBox.name) => {
+    // Boxes beside one that went on to the next page go on to it too
+    const next = pdf.getCurrentPageInfo().pageNumber + 1;
+    if (pageBoxes.has(next)) {
+      setCurrentPage(next);
+      currentY = pageFrame.top + cloneInsets.top;
+      pageIsBlank = true;
+      return;
+    }
+
+    const box = getPageBox(name, false);
+    pdf.addPage(
+      [box.width, box.height],
+      box.width > box.height ? "landscape" : "portrait"
+    );
+    pageContentStarts.set(
+      pdf.getCurrentPageInfo().pageNumber,
+      pdf.internal.pages[pdf.getCurrentPageInfo().pageNumber].length
+    );
+    applyPageBox(box);
+    currentY = pageFrame.top + cloneInsets.top;
+    pageIsBlank = true;
+    fixedElements.forEach((fixed) => renderOutOfFlow(fixed, getPageBlock()));
+  };
+
+  // Function to check if we need a new page
+  const checkForNewPage = (neededHeight) => {
+    if (
+      paginate &&
+      unbreakableDepth === 0 &&
+      currentY + neededHeight > getFlowBottom()
+    ) {
+      startNewPage();
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Start the page asked for by a forced break or a change of page name,
+   * once there is content to put on it
+   */
+  const startPendingPage = () => {
+    const breakNeeded = pageBreakPending || pageName !== pageBox.name;
+    pageBreakPending = false;
+    if (!paginate || !breakNeeded) return;
+
+    if (!pageIsBlank) {
+      startNewPage(pageName);
+    } else if (pageName !== pageBox.name) {
+      // Nothing is drawn yet, so the current page can take the new name
+      applyPageBox(
+        getPageBox(pageName, pdf.getCurrentPageInfo().pageNumber === 1)
       );
+    }
+  };
 
-      // Check if this inline text will fit on the current line
-      if (
-        parentStyle.display !== "block" &&
-        parentStyle.display !== "inline-block" &&
-        inlineXOffset + textDimensions.width <= contentWidth
-      ) {
-        // Add to pending inline elements
-        pendingInlineElements.push({
-          type: "text",
-          text,
-          x: currentX + inlineXOffset,
-          style: parentStyle,
-          tagName: parentTagName,
+  /**
+   * Move to a new page if content of the given height would be split by
+   * the end of this one, but fits on an empty page
+   * @param {number} height
+   * @returns {boolean} Whether the content fits on the current page
+   */
+  const keepTogether = (height) => {
+    if (
+      !pageIsBlank &&
+      currentY + height > getFlowBottom() &&
+      height <= getFlowBottom() - pageFrame.top - cloneInsets.top
+    ) {
+      startNewPage();
+    }
+    return currentY + height <= getFlowBottom();
+  };
+
+  /** @type {jsPDF | null} */
+  let layoutPdf = null;
+
+  /**
+   * Measure the height an element takes when rendered at the current X
+   * position, margins included. The element is laid out where it is in
+   * the document, and heights are remembered, so elements nested in
+   * measured elements are measured once for each width.
+   * @param {Element} element
+   * @param {number} [width] - Width to render it in, by default the width
+   *   left at the current position
+   * @param {Object} [parentStyle] - Style the element inherits from
+   * @returns {number}
+   */
+  const measureHeight = (
+    element,
+    width = currentRight - currentX,
+    parentStyle = {}
+  ) => {
+    const inherited = getInheritedStyle(parentStyle);
+    const key = JSON.stringify([
+      width,
+      inherited,
+      element.getAttribute("style"),
+    ]);
+    let heights = measuredHeights.get(element);
+    if (!heights) {
+      heights = new Map();
+      measuredHeights.set(element, heights);
+    }
+
+    let height = heights.get(key);
+    if (height === undefined) {
+      layoutPdf ??= createLayoutPdf(pdf);
+      height = renderHtml({
+        pdf: layoutPdf,
+        html: "",
+        options: { ...options, outline: false },
+        frame: {
+          top: 0,
+          bottom: Infinity,
+          left: currentX,
+          right: currentX + width,
+        },
+        paginate: false,
+        root: { element, parentStyle: inherited },
+        measuredHeights,
+      }).endY;
+      heights.set(key, height);
+    }
+    return height;
+  };
+
+  /**
+   * Render the table of contents in place of its placeholder. Entries
+   * are laid out the same way whether or not page numbers are known yet,
+   * so the layout pass and the final render break pages identically.
+   * @param {Object} style - Style of the placeholder element
+   */
+  const renderTableOfContents = (style) => {
+    const fontSize = getFontSize(style);
+    const { ascent, descent } = getInlineMetrics(pdf, style);
+    const entryLineHeight = ascent + descent;
+    const indentStep = (fontSize * 1.5) / pdf.internal.scaleFactor;
+    const minLevel = Math.min(...tocHeadings.map((heading) => heading.level));
+    const right = pageFrame.right;
+
+    const setEntryFont = () => {
+      pdf.setFontSize(fontSize);
+      useFont(pdf, style);
+    };
+    setEntryFont();
+
+    // Reserve room for page numbers up to 4 digits
+    const gap = pdf.getTextWidth(" ");
+    const numberWidth = pdf.getTextWidth("0000");
+    const leaderEnd = right - numberWidth - gap;
+
+    tocHeadings.forEach((heading, i) => {
+      const x = currentX + (heading.level - minLevel) * indentStep;
+      /** @type {string[]} */
+      const lines = pdf.splitTextToSize(heading.text, leaderEnd - gap - x);
+      const pageNumber = tocPageNumbers[i];
+
+      lines.forEach((line, lineIndex) => {
+        if (checkForNewPage(entryLineHeight)) {
+          setEntryFont();
+        }
+        const baseline = currentY + ascent;
+        withColor(pdf, style.color, "text", () => {
+          pdf.text(line, x, baseline);
+
+          if (lineIndex === lines.length - 1) {
+            drawDotLeader(
+              pdf,
+              x + pdf.getTextWidth(line) + gap,
+              leaderEnd,
+              baseline
+            );
+            if (pageNumber != null) {
+              pdf.text(String(pageNumber), right, baseline, {
+                align: "right",
+              });
+            }
+          }
         });
 
-        inlineXOffset += textDimensions.width;
-        inlineHeight = Math.max(inlineHeight, textDimensions.height);
-      } else {
-        // Flush any pending inline elements before starting a new line
-        flushInlineElements();
+        addInternalLink(
+          {
+            x,
+            y: currentY,
+            width: right - x,
+            height: entryLineHeight,
+          },
+          () => tocPositions[i]
+        );
+
+        currentY += entryLineHeight;
+      });
+    });
+  };
 
-        // Check for page break
-        checkForNewPage(textDimensions.height);
+  /**
+   * Get the computed style of an element, with what jsdom leaves out
+   * filled in from the style of its parent
+   * @param {Element} element
+   * @param {Object} parentStyle - Style of the parent, already filled in
+   * @returns {CSSStyleDeclaration}
+   */
+  const getElementStyle = (element, parentStyle) => {
+    const style = window.getComputedStyle(element);
+
+    // jsdom neither resolves relative font sizes nor inherits them
+    const parentFontSize =
+      cssLengthToPx(parentStyle.fontSize) ?? DEFAULT_FONT_SIZE;
+    const fontSize = resolveFontSize(
+      style.fontSize,
+      parentFontSize,
+      rootFontSize
+    );
+    style.fontSize = `${fontSize}px`;
+
+    inheritStyle(element, style, parentStyle);
+    resolveCurrentColor(style, parentStyle);
+    style.lineHeight = resolveLineHeight(
+      style.lineHeight,
+      fontSize,
+      rootFontSize
+    );
+
+    // Baseline shifts add up, and decorations are drawn through the text
+    // of descendants too
+    style.baselineOffset =
+      (parentStyle.baselineOffset ?? 0) +
+      getBaselineShift(style, parentFontSize);
+    style.textDecorations = getTextDecorations(
+      style,
+      parentStyle.textDecorations ?? [],
+      style.baselineOffset
+    );
+    return style;
+  };
 
-        // Add text to new line of pending elements
-        pendingInlineElements.push({
-          type: "text",
-          text,
-          x: currentX,
+  /**
+   * Whether an element is laid out as a block instead of in lines of text
+   * @param {Element} element
+   * @param {Object} style - Computed style of the element
+   * @param {Object} dimensions - Result of getElementDimensions
+   * @returns {boolean}
+   */
+  const isBlockLevelElement = (element, style, dimensions) =>
+    dimensions.isBlock ||
+    element === tocPlaceholder ||
+    ["TABLE", "IMG", "UL", "OL", "LI"].includes(
+      element.tagName.toUpperCase()
+    ) ||
+    style.display === "list-item";
+
+  /**
+   * Remember where an element that is a link target is rendered
+   * @param {Element} element
+   */
+  const addAnchor = (element) => {
+    const anchorName =
+      element.id ||
+      (element.tagName.toUpperCase() === "A" && element.getAttribute("name"));
+    if (anchorName && !anchors.has(anchorName)) {
+      anchors.set(anchorName, {
+        pageNumber: pdf.getCurrentPageInfo().pageNumber,
+        y: currentY,
+      });
+    }
+  };
+
+  /**
+   * Measure the narrowest an element can be laid out, breaking lines
+   * wherever they may break, and the widest, breaking them only where
+   * they must
+   * @param {Element} element
+   * @param {Object} style - Style of the element, from getElementStyle
+   * @returns {{ min: number, max: number }} Widths of the content box
+   */
+  const measureContentWidths = (element, style) => {
+    const { scaleFactor } = pdf.internal;
+    // Percentage gaps count as 0 while the width is unknown
+    const container = getFlexContainer(
+      style,
+      scaleFactor,
+      getLengthContext(style, null)
+    );
+    // Items of a flex row sit side by side instead of one below the other
+    const isFlexRow =
+      style.display === "flex" && container.direction.startsWith("row");
+    let min = 0;
+    let max = 0;
+    let count = 0;
+    /** @type {InlineRun[]} */
+    let runs = [];
+
+    /** @param {{ min: number, max: number }} widths - Widths of a box */
+    const addBox = (widths) => {
+      if (isFlexRow) {
+        const gap = count > 0 ? container.columnGap : 0;
+        min = container.wrap
+          ? Math.max(min, widths.min)
+          : min + gap + widths.min;
+        max += gap + widths.max;
+      } else {
+        min = Math.max(min, widths.min);
+        max = Math.max(max, widths.max);
+      }
+      count++;
+    };
+
+    const flushRuns = () => {
+      if (runs.every((run) => !run.lineBreak && !run.text.trim())) {
+        runs = [];
+        return;
+      }
+      const items = splitInlineItems(runs.map(getTextRun), measureRunText);
+      runs = [];
+      const widest = (/** @type {number} */ width) =>
+        Math.max(0, ...breakLines(items, width).map((line) => line.width));
+      addBox({ min: widest(0), max: widest(Infinity) });
+    };
+
+    /**
+     * @param {ChildNode} node
+     * @param {Object} parentStyle
+     */
+    const visit = (node, parentStyle) => {
+      if (node.nodeType === NODE_TYPE.TEXT_NODE) {
+        runs.push({
+          text: node.textContent,
           style: parentStyle,
-          tagName: parentTagName,
+          lang: node.parentElement?.closest("[lang]")?.getAttribute("lang"),
         });
+        return;
+      }
+      if (node.nodeType !== NODE_TYPE.ELEMENT_NODE) return;
+
+      const child = /** @type {Element} */ (node);
+      const childStyle = getElementStyle(child, parentStyle);
+      if (childStyle.display === "none" || childStyle.visibility === "hidden") {
+        return;
+      }
+      const tagName = child.tagName.toUpperCase();
+      if (tagName === "BR") {
+        runs.push({ text: "", style: childStyle, lineBreak: true });
+        return;
+      }
+
+      const dimensions = getElementDimensions(
+        child,
+        childStyle,
+        0,
+        scaleFactor,
+        rootFontSize
+      );
+      if (
+        !isFlexRow &&
+        !isBlockLevelElement(child, childStyle, dimensions) &&
+        childStyle.display !== "table-row"
+      ) {
+        child.childNodes.forEach((grandchild) => visit(grandchild, childStyle));
+        return;
+      }
+
+      flushRuns();
+      const { margin, border, padding } = dimensions;
+      const extra =
+        margin.left +
+        margin.right +
+        border.left +
+        border.right +
+        padding.left +
+        padding.right;
+      let widths;
+      if (tagName === "IMG") {
+        const image = handleImageElement(
+          pdf,
+          child,
+          childStyle,
+          Infinity,
+          Infinity,
+          baseDir,
+          allowAbsolutePaths
+        );
+        // Images sized relative to their container can shrink to nothing
+        const width = Number.isFinite(image?.width) ? image.width : 0;
+        widths = { min: width, max: width };
+      } else if (dimensions.width !== null) {
+        const width = dimensions.width - extra + margin.left + margin.right;
+        widths = { min: width, max: width };
+      } else {
+        widths = measureContentWidths(child, childStyle);
+      }
+      addBox({ min: widths.min + extra, max: widths.max + extra });
+    };
+
+    element.childNodes.forEach((child) => {
+      visit(child, style);
+      // Text between the items of a flex row is an item of its own
+      if (isFlexRow) flushRuns();
+    });
+    flushRuns();
+    return { min, max };
+  };
 
-        inlineXOffset = textDimensions.width;
-        inlineHeight = textDimensions.height;
+  /**
+   * Get what the relative lengths of an element are resolved against
+   * @param {Object} style - Computed style of the element
+   * @param {number | null} percentBase - Length percentages are of
+   * @returns {LengthContext}
+   */
+  const getLengthContext = (style, percentBase) => ({
+    fontSize: cssLengthToPx(style.fontSize) ?? DEFAULT_FONT_SIZE,
+    rootFontSize,
+    percentBase,
+  });
+
+  /**
+   * Resolve a length in the font of an element
+   * @param {string} value - CSS length
+   * @param {Object} style - Computed style of the element
+   * @param {number | null} percentBase - Length percentages are of
+   * @returns {number | null} Length in PDF units, or null for `auto`
+   */
+  const resolveElementLength = (value, style, percentBase) =>
+    resolveLength(
+      value,
+      pdf.internal.scaleFactor,
+      getLengthContext(style, percentBase)
+    );
+
+  /**
+   * Get how far `position: relative` moves an element from where it is
+   * laid out
+   * @param {Object} style - Computed style of the element
+   * @returns {{ x: number, y: number }}
+   */
+  const getRelativeOffset = (style) => {
+    if (style.position !== "relative") return { x: 0, y: 0 };
+    const insets = getInsets(style);
+    const width = currentRight - currentX;
+    const left = resolveElementLength(insets.left, style, width);
+    const right = resolveElementLength(insets.right, style, width);
+    const top = resolveElementLength(insets.top, style, null);
+    const bottom = resolveElementLength(insets.bottom, style, null);
+    return {
+      x: left ?? (right === null ? 0 : -right),
+      y: top ?? (bottom === null ? 0 : -bottom),
+    };
+  };
+
+  /**
+   * Content area of a page as the containing block of the positioned
+   * elements that have no positioned ancestor
+   * @param {number} [pageNumber] - Page, by default the current one
+   * @returns {ContainingBlock}
+   */
+  const getPageBlock = (pageNumber = pdf.getCurrentPageInfo().pageNumber) => {
+    const { left, right, top, bottom } =
+      pageFrames.get(pageNumber) ?? pageFrame;
+    return {
+      pageNumber,
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+    };
+  };
+
+  /**
+   * Get the border box width of a float or positioned element that
+   * shrinks to fit its content
+   * @param {Element} element
+   * @param {Object} style - Computed style of the element
+   * @param {Object} dimensions - Result of getElementDimensions
+   * @param {number} available - Width left for the margin box
+   * @returns {number}
+   */
+  const getShrinkToFitWidth = (element, style, dimensions, available) => {
+    const { margin, border, padding } = dimensions;
+    const space = Math.max(available - margin.left - margin.right, 0);
+    let width = dimensions.width;
+    if (width === null && element.tagName.toUpperCase() === "IMG") {
+      const image = handleImageElement(
+        pdf,
+        element,
+        style,
+        space,
+        Infinity,
+        baseDir,
+        allowAbsolutePaths
+      );
+      width = image?.width ?? 0;
+    } else if (width === null) {
+      width = Math.min(
+        measureContentWidths(element, style).max +
+          border.left +
+          padding.left +
+          padding.right +
+          border.right,
+        space
+      );
+    }
+    return Math.max(Math.min(width, dimensions.maxWidth), dimensions.minWidth);
+  };
+
+  /**
+   * Measure the height of a float or positioned element as if it were a
+   * block in the flow, margins included. Its style is changed while it is
+   * measured, in place so nested elements are measured once.
+   * @param {Element} element
+   * @param {Object} dimensions - Result of getElementDimensions
+   * @param {number} outerWidth - Width of the margin box
+   * @param {Object} parentStyle - Style the element inherits from
+   * @returns {number}
+   */
+  const measureOutOfFlowHeight = (
+    element,
+    dimensions,
+    outerWidth,
+    parentStyle
+  ) => {
+    const box = /** @type {HTMLElement} */ (element);
+    const styleText = box.getAttribute("style");
+    box.style.cssFloat = "none";
+    box.style.position = "static";
+    if (!dimensions.isBlock) {
+      box.style.display = "block";
+    }
+    try {
+      return measureHeight(box, outerWidth, parentStyle);
+    } finally {
+      if (styleText === null) {
+        box.removeAttribute("style");
+      } else {
+        box.setAttribute("style", styleText);
+      }
+    }
+  };
+
+  /**
+   * Render a box that takes no room in the flow, leaving the position and
+   * pending text of the flow as they were. It never breaks across pages.
+   * @param {Element} element
+   * @param {Object} style - Computed style of the element
+   * @param {Object} dimensions - Result of getElementDimensions
+   * @param {number} pageNumber - Page to draw it on
+   * @param {number} x - Left edge of the margin box
+   * @param {number} y - Top edge of the margin box
+   * @param {number} outerWidth - Width of the margin box
+   */
+  const renderOutOfFlowBox = (
+    element,
+    style,
+    dimensions,
+    pageNumber,
+    x,
+    y,
+    outerWidth
+  ) => {
+    const flow = {
+      currentX,
+      currentY,
+      currentRight,
+      pendingInlineElements,
+      inlineContainerStyle,
+      pageIsBlank,
+      pageBreakPending,
+    };
+    const flowPage = pdf.getCurrentPageInfo().pageNumber;
+    if (pageNumber !== flowPage) pdf.setPage(pageNumber);
+    pendingInlineElements = [];
+    pageBreakPending = false;
+    currentY = y;
+    unbreakableDepth++;
+    renderLayoutItem(
+      { element, style, dimensions, extra: 0 },
+      x,
+      outerWidth,
+      0
+    );
+    unbreakableDepth--;
+    if (pageNumber !== flowPage) pdf.setPage(flowPage);
+    ({
+      currentX,
+      currentY,
+      currentRight,
+      pendingInlineElements,
+      inlineContainerStyle,
+      pageIsBlank,
+      pageBreakPending,
+    } = flow);
+  };
+
+  /**
+   * Float an element to one side of its container, where the lines that
+   * follow wrap around it. Pending text of the line it is in wraps around
+   * it too, so the float goes at the top of that text.
+   * @param {Element} element
+   * @param {Object} style - Computed style of the element
+   * @param {Object} parentStyle - Style of the parent
+   * @param {"left" | "right"} side
+   */
+  const renderFloat = (element, style, parentStyle, side) => {
+    const dimensions = withoutAutoMargins(
+      getElementDimensions(
+        element,
+        style,
+        currentRight - currentX,
+        pdf.internal.scaleFactor,
+        rootFontSize
+      )
+    );
+    const { margin } = dimensions;
+    const outerWidth =
+      getShrinkToFitWidth(element, style, dimensions, currentRight - currentX) +
+      margin.left +
+      margin.right;
+    const height = measureOutOfFlowHeight(
+      element,
+      dimensions,
+      outerWidth,
+      parentStyle
+    );
+
+    startPendingPage();
+    if (style.clear && style.clear !== "none") {
+      currentY = getClearance(
+        floats,
+        pdf.getCurrentPageInfo().pageNumber,
+        style.clear,
+        getDirection(parentStyle),
+        currentY
+      );
+    }
+    /** @returns {{ x: number, y: number }} */
+    const place = () =>
+      placeFloat(
+        floats,
+        pdf.getCurrentPageInfo().pageNumber,
+        side,
+        outerWidth,
+        height,
+        currentY,
+        currentX,
+        currentRight
+      );
+    let position = place();
+    // Floats are kept on one page, with the text that wraps around them
+    if (
+      paginate &&
+      unbreakableDepth === 0 &&
+      !pageIsBlank &&
+      position.y + height > getFlowBottom() &&
+      height <= getFlowBottom() - pageFrame.top - cloneInsets.top
+    ) {
+      startNewPage();
+      position = place();
+    }
+
+    const pageNumber = pdf.getCurrentPageInfo().pageNumber;
+    addAnchor(element);
+    renderOutOfFlowBox(
+      element,
+      style,
+      dimensions,
+      pageNumber,
+      position.x,
+      position.y,
+      outerWidth
+    );
+    floats.push({
+      side,
+      pageNumber,
+      left: position.x,
+      right: position.x + outerWidth,
+      top: position.y,
+      bottom: position.y + height,
+    });
+    pageIsBlank = false;
+  };
+
+  /**
+   * Render an absolutely positioned element at its offsets from the
+   * padding box of its containing block
+   * @param {OutOfFlowElement} positioned
+   * @param {ContainingBlock} block
+   */
+  const renderOutOfFlow = ({ element, style, parentStyle, x, y }, block) => {
+    const dimensions = getElementDimensions(
+      element,
+      style,
+      block.width,
+      pdf.internal.scaleFactor,
+      rootFontSize
+    );
+    const insets = getInsets(style);
+    const left = resolveElementLength(insets.left, style, block.width);
+    const right = resolveElementLength(insets.right, style, block.width);
+    const top = resolveElementLength(insets.top, style, block.height);
+    // Pages measured without an end have no bottom to be offset from
+    const bottom = Number.isFinite(block.height)
+      ? resolveElementLength(insets.bottom, style, block.height)
+      : null;
+
+    // Boxes shrink to fit their content, unless both horizontal offsets
+    // are set, and then auto margins share the space left between them
+    const { autoMargins } = dimensions;
+    const { margin } = withoutAutoMargins(dimensions);
+    const available = block.width - (left ?? 0) - (right ?? 0);
+    let width;
+    if (left !== null && right !== null) {
+      width =
+        dimensions.width ??
+        Math.max(
+          Math.min(available - margin.left - margin.right, dimensions.maxWidth),
+          dimensions.minWidth
+        );
+      const free = Math.max(available - margin.left - margin.right - width, 0);
+      if (autoMargins.left && autoMargins.right) {
+        margin.left += free / 2;
+        margin.right += free / 2;
+      } else if (autoMargins.left) {
+        margin.left += free;
+      } else if (autoMargins.right) {
+        margin.right += free;
       }
+    } else {
+      width = getShrinkToFitWidth(element, style, dimensions, available);
+    }
+    const outerWidth = width + margin.left + margin.right;
+
+    const boxX =
+      left !== null
+        ? block.x + left
+        : right !== null
+          ? block.x + block.width - right - outerWidth
+          : x;
+    const boxY =
+      top !== null
+        ? block.y + top
+        : bottom !== null
+          ? block.y +
+            block.height -
+            bottom -
+            measureOutOfFlowHeight(element, dimensions, outerWidth, parentStyle)
+          : y;
+    renderOutOfFlowBox(
+      element,
+      style,
+      { ...dimensions, margin },
+      block.pageNumber,
+      boxX,
+      boxY,
+      outerWidth
+    );
+  };
 
+  // Process DOM nodes recursively
+  const processNode = (node, parentStyle = {}) => {
+    // Skip comments and other non-element/text nodes
+    if (
+      node.nodeType !== NODE_TYPE.ELEMENT_NODE &&
+      node.nodeType !== NODE_TYPE.TEXT_NODE
+    ) {
+      return;
+    }
+
+    // Get computed style for the node
+    const style =
+      node.nodeType === NODE_TYPE.ELEMENT_NODE
+        ? getElementStyle(node, parentStyle)
+        : parentStyle;
+
+    // Text nodes are laid out with the rest of the line when it is flushed
+    if (node.nodeType === NODE_TYPE.TEXT_NODE) {
+      pendingInlineElements.push({
+        text: node.textContent,
+        style: parentStyle,
+        href: node.parentElement?.closest("a[href]")?.getAttribute("href"),
+        lang: node.parentElement?.closest("[lang]")?.getAttribute("lang"),
+      });
       return;
     }
 
@@ -654,138 +2288,1335 @@ export const insertHtmlToPdf = ({ pdf, html, options = {} }) => {
       return;
     }
 
-    // If fontSize is not specified in style, use the default from tagNameToFontSize
-    if (!style.fontSize || style.fontSize === "") {
-      const defaultSize = tagNameToFontSize[tagName] || tagNameToFontSize.P;
-      style.fontSize = defaultSize + "px";
+    // Absolutely positioned elements are placed once the size of their
+    // containing block is known, fixed ones on every page
+    if (isOutOfFlow(style)) {
+      const positioned = {
+        element,
+        style,
+        parentStyle,
+        x: currentX,
+        y: currentY,
+      };
+      if (style.position === "fixed") {
+        if (!paginate) return;
+        fixedElements.push(positioned);
+        for (const pageNumber of pageFrames.keys()) {
+          renderOutOfFlow(positioned, getPageBlock(pageNumber));
+        }
+      } else if (absoluteElements.length > 0) {
+        absoluteElements[absoluteElements.length - 1].push(positioned);
+      } else {
+        renderOutOfFlow(positioned, getPageBlock());
+      }
+      return;
+    }
+
+    const floatSide = getFloatSide(style, getDirection(parentStyle));
+    if (floatSide) {
+      renderFloat(element, style, parentStyle, floatSide);
+      return;
     }
 
     // Get element dimensions
-    const dimensions = getElementDimensions(element, style, contentWidth);
+    const dimensions = getElementDimensions(
+      element,
+      style,
+      currentRight - currentX,
+      pdf.internal.scaleFactor,
+      rootFontSize
+    );
 
-    // Handle block elements
-    if (dimensions.isBlock) {
-      // Flush any pending inline elements
+    const isBlockLevel = isBlockLevelElement(element, style, dimensions);
+
+    // Page breaks happen between block-level boxes
+    const parentPageName = pageName;
+    let unbreakable = false;
+    if (isBlockLevel) {
       flushInlineElements();
 
-      // Add margins
-      currentY += dimensions.margin.top;
+      pageName = getPageName(style) ?? parentPageName;
+      if (getBreakValue(style, "before") === "always") {
+        pageBreakPending = true;
+      }
+      startPendingPage();
+
+      if (style.clear && style.clear !== "none") {
+        currentY = getClearance(
+          floats,
+          pdf.getCurrentPageInfo().pageNumber,
+          style.clear,
+          getDirection(parentStyle),
+          currentY
+        );
+      }
 
-      // Check if we need a new page
-      const estimatedHeight =
-        dimensions.padding.top +
-        dimensions.padding.bottom +
-        (tagName === "IMG"
-          ? parseFloat(element.height) || 100
-          : parseFloat(style.lineHeight) || 20);
-
-      checkForNewPage(estimatedHeight);
-
-      // Calculate element width and position
-      const elementX = currentX + dimensions.margin.left;
-      const elementWidth = dimensions.innerWidth;
-      const contentX =
-        elementX + dimensions.padding.left + dimensions.border.left;
-      const contentWidth =
-        elementWidth -
-        dimensions.padding.left -
-        dimensions.padding.right -
-        dimensions.border.left -
-        dimensions.border.right;
+      // Tables avoid breaks themselves and images never break
+      if (paginate && tagName !== "TABLE" && tagName !== "IMG") {
+        const next = element.nextElementSibling;
+        const nextStyle = next ? getElementStyle(next, parentStyle) : null;
+        const keepWithNext =
+          nextStyle !== null &&
+          (getBreakValue(style, "after") === "avoid" ||
+            getBreakValue(nextStyle, "before") === "avoid");
+
+        if (getBreakValue(style, "inside") === "avoid" || keepWithNext) {
+          // Keep the first lines of the next block on the same page, as many
+          // as its orphans setting lets a page end with
+          const nextLinesHeight = keepWithNext
+            ? getLineLimit(nextStyle, "orphans") *
+                getTextDimensions(pdf, "", nextStyle).height +
+              (resolveElementLength(nextStyle.marginTop, nextStyle, null) ?? 0)
+            : 0;
+          // Once it is known to fit, nothing inside may break the page
+          unbreakable = keepTogether(
+            measureHeight(element, undefined, parentStyle) + nextLinesHeight
+          );
+        }
+      }
+    }
 
-      // Start Y position for content
-      let elementY = currentY;
-      const contentY =
-        elementY + dimensions.padding.top + dimensions.border.top;
+    addAnchor(element);
 
-      // Track the height of the content
-      let contentHeight = 0;
-      const startY = currentY;
+    if (tagName === "BR") {
+      pendingInlineElements.push({ text: "", style, lineBreak: true });
+      return;
+    }
 
-      // Render element background and borders
-      if (debug) {
-        // Draw debug box
-        pdf.setDrawColor(200, 0, 0);
-        pdf.setLineWidth(0.1);
-        pdf.rect(elementX, elementY, elementWidth, 10); // Temporary height
+    if (!isBlockLevel) {
+      // Process children for inline elements
+      for (const child of element.childNodes) {
+        processNode(child, style);
       }
+      return;
+    }
 
-      // Prepare for children
-      currentX = contentX;
-      currentY = contentY;
+    // Relative positioning moves the box but not what comes after it
+    const offset = getRelativeOffset(style);
+    currentX += offset.x;
+    currentRight += offset.x;
+    currentY += offset.y;
+    if (unbreakable) unbreakableDepth++;
+    renderBlockElement(element, tagName, style, dimensions);
+    if (unbreakable) unbreakableDepth--;
+    currentX -= offset.x;
+    currentRight -= offset.x;
+    currentY -= offset.y;
+
+    pageName = parentPageName;
+    if (getBreakValue(style, "after") === "always") {
+      pageBreakPending = true;
+    }
+  };
 
-      // Process children
-      for (const child of element.childNodes) {
-        processNode(child, style);
+  /**
+   * Process the children of a block and lay out the inline content they
+   * leave at its end
+   * @param {Element} element - Block element
+   * @param {Object} style - Computed style of the block
+   */
+  const processChildren = (element, style) => {
+    const parentContainerStyle = inlineContainerStyle;
+    inlineContainerStyle = style;
+    for (const child of element.childNodes) {
+      processNode(child, style);
+    }
+    flushInlineElements();
+    inlineContainerStyle = parentContainerStyle;
+  };
+
+  /**
+   * Get the items of a flex or grid container in the order they are laid
+   * out in. Text directly in the container is wrapped in an anonymous item.
+   * @param {Element} element - Container
+   * @param {Object} style - Computed style of the container
+   * @returns {LayoutItem[]}
+   */
+  const getLayoutItems = (element, style) => {
+    for (const child of [...element.childNodes]) {
+      if (child.nodeType === NODE_TYPE.TEXT_NODE && child.textContent.trim()) {
+        const span = document.createElement("span");
+        child.replaceWith(span);
+        span.append(child);
+      }
+    }
+
+    return [...element.children]
+      .map((child) => ({
+        element: child,
+        style: getElementStyle(child, style),
+      }))
+      .filter(
+        (item) =>
+          item.style.display !== "none" && item.style.visibility !== "hidden"
+      )
+      .sort(
+        (a, b) =>
+          (parseInt(a.style.order) || 0) - (parseInt(b.style.order) || 0)
+      )
+      .map((item) => {
+        // Auto margins of items take free space of the line instead
+        const dimensions = withoutAutoMargins(
+          getElementDimensions(
+            item.element,
+            item.style,
+            currentRight - currentX,
+            pdf.internal.scaleFactor,
+            rootFontSize
+          )
+        );
+        const { margin, border, padding } = dimensions;
+        return {
+          ...item,
+          dimensions,
+          extra:
+            margin.left +
+            margin.right +
+            border.left +
+            border.right +
+            padding.left +
+            padding.right,
+        };
+      });
+  };
+
+  /**
+   * Render an item of a flex or grid container as a block in the given
+   * part of the container
+   * @param {LayoutItem} item
+   * @param {number} x - Left edge of the margin box
+   * @param {number} outerWidth - Width of the margin box
+   * @param {number} minHeight - Smallest height of the margin box
+   */
+  const renderLayoutItem = (item, x, outerWidth, minHeight) => {
+    const { margin } = item.dimensions;
+    currentX = x;
+    currentRight = x + outerWidth;
+    addAnchor(item.element);
+    renderBlockElement(
+      item.element,
+      item.element.tagName.toUpperCase(),
+      item.style,
+      {
+        ...item.dimensions,
+        innerWidth: outerWidth - margin.left - margin.right,
+        // Items with a height aren't stretched
+        minHeight:
+          item.dimensions.height === null
+            ? Math.max(
+                minHeight - margin.top - margin.bottom,
+                item.dimensions.minHeight
+              )
+            : item.dimensions.minHeight,
       }
+    );
+  };
+
+  /**
+   * Render boxes that sit side by side, each from the page the first one
+   * starts on. The flow goes on below the box that ends furthest down, on
+   * the last page any of them reaches.
+   * @param {number} bottom - Bottom of the boxes when they all end on the
+   *   page they start on
+   * @param {(() => void)[]} renderBoxes - Each renders a box, setting the
+   *   Y it starts at
+   */
+  const renderSideBySide = (bottom, renderBoxes) => {
+    const startPage = pdf.getCurrentPageInfo().pageNumber;
+    let endPage = startPage;
+    let endY = bottom;
+    renderBoxes.forEach((renderBox) => {
+      setCurrentPage(startPage);
+      renderBox();
+      const { pageNumber } = pdf.getCurrentPageInfo();
+      if (pageNumber > endPage) {
+        endPage = pageNumber;
+        endY = currentY;
+      } else if (pageNumber === endPage) {
+        endY = Math.max(endY, currentY);
+      }
+    });
+    setCurrentPage(endPage);
+    currentY = endY;
+  };
+
+  /**
+   * Lay out the children of a flex container as flex items. Each line of
+   * a row is kept together on a page if it fits on one, the items of a
+   * column follow each other like blocks.
+   * @param {Element} element - Flex container
+   * @param {Object} style - Computed style of the container
+   */
+  const renderFlexItems = (element, style) => {
+    const { scaleFactor } = pdf.internal;
+    // Relative to the content area, which may move on a new page
+    const parentX = currentX - pageFrame.left;
+    const parentRight = pageFrame.right - currentRight;
+    const width = currentRight - currentX;
+    const container = getFlexContainer(
+      style,
+      scaleFactor,
+      getLengthContext(style, width)
+    );
+    const isRow = container.direction.startsWith("row");
+    const reverse = container.direction.endsWith("-reverse");
+
+    const items = getLayoutItems(element, style).map((item) => {
+      const content = measureContentWidths(item.element, item.style);
+      const { dimensions } = item;
+      // Flex sizes are of the content box
+      const boxExtra =
+        dimensions.border.left +
+        dimensions.padding.left +
+        dimensions.padding.right +
+        dimensions.border.right;
+      const specifiedWidth =
+        dimensions.width === null ? null : dimensions.width - boxExtra;
+      const max = dimensions.maxWidth - boxExtra;
+      const min =
+        item.style.minWidth && item.style.minWidth !== "auto"
+          ? dimensions.minWidth - boxExtra
+          : Math.min(content.min, specifiedWidth ?? Infinity, max);
+      const { grow, shrink, basis } = getFlexFactors(item.style);
+      const basisWidth = resolveLength(basis, scaleFactor, {
+        fontSize: cssLengthToPx(item.style.fontSize) ?? DEFAULT_FONT_SIZE,
+        rootFontSize,
+        percentBase: width,
+      });
+      const ownWidth = specifiedWidth ?? content.max;
+      return {
+        ...item,
+        // Width the item takes when it isn't stretched
+        fitWidth: Math.min(
+          Math.max(Math.min(ownWidth, max), min) + item.extra,
+          width
+        ),
+        base:
+          basis === "auto"
+            ? ownWidth
+            : basisWidth === null
+              ? content.max
+              : item.style.boxSizing === "border-box"
+                ? Math.max(basisWidth - boxExtra, 0)
+                : basisWidth,
+        min,
+        max,
+        grow,
+        shrink,
+      };
+    });
+
+    // Items start at the right in right-to-left rows
+    const fromRight = (getDirection(style) === "rtl") !== (isRow && reverse);
+
+    if (isRow) {
+      const lines = collectFlexLines(
+        items,
+        width,
+        container.columnGap,
+        container.wrap
+      );
+      lines.forEach((line, lineIndex) => {
+        const lineItems = line.map((index) => items[index]);
+        const sizes = resolveFlexibleLengths(
+          lineItems,
+          width,
+          container.columnGap
+        );
+        const outerWidths = sizes.map((size, i) => size + lineItems[i].extra);
+        const heights = lineItems.map((item, i) =>
+          measureHeight(item.element, outerWidths[i], style)
+        );
+        const lineHeight = Math.max(...heights);
+        const free =
+          width -
+          outerWidths.reduce((sum, outerWidth) => sum + outerWidth, 0) -
+          container.columnGap * (line.length - 1);
+        // Auto margins take the free space before justify-content does
+        const autoMarginCount = lineItems.reduce(
+          (count, { dimensions: { autoMargins } }) =>
+            count + Number(autoMargins.left) + Number(autoMargins.right),
+          0
+        );
+        const autoMargin =
+          autoMarginCount > 0 ? Math.max(free, 0) / autoMarginCount : 0;
+        const { start, between } = justifyFlexLine(
+          container.justifyContent,
+          autoMarginCount > 0 ? Math.min(free, 0) : free,
+          line.length
+        );
+
+        if (lineIndex > 0) currentY += container.rowGap;
+        // The items of a line sit side by side, so no page break may
+        // split one of them
+        const unbreakable = paginate && keepTogether(lineHeight);
+        const fits = !paginate || unbreakable;
+        if (unbreakable) unbreakableDepth++;
+        startPendingPage();
+        const lineY = currentY;
+        const left = pageFrame.left + parentX;
+        const right = pageFrame.right - parentRight;
+        let offset = start;
+        renderSideBySide(
+          lineY + lineHeight,
+          lineItems.map((item, i) => {
+            const { autoMargins } = item.dimensions;
+            const [before, after] = fromRight
+              ? [autoMargins.right, autoMargins.left]
+              : [autoMargins.left, autoMargins.right];
+            if (before) offset += autoMargin;
+            const x = fromRight
+              ? right - offset - outerWidths[i]
+              : left + offset;
+            offset += outerWidths[i] + container.columnGap + between;
+            if (after) offset += autoMargin;
+
+            // The height of a line that breaks across pages isn't known
+            // beforehand, so its items start at its top with their own
+            const align = fits
+              ? getAlignSelf(item.style, container)
+              : "flex-start";
+            return () => {
+              currentY =
+                lineY +
+                (align === "stretch"
+                  ? 0
+                  : alignFlexItem(align, lineHeight - heights[i]));
+              renderLayoutItem(
+                item,
+                x,
+                outerWidths[i],
+                align === "stretch" ? lineHeight : 0
+              );
+            };
+          })
+        );
+        if (unbreakable) unbreakableDepth--;
+      });
+    } else {
+      (reverse ? [...items].reverse() : items).forEach((item, index) => {
+        if (index > 0) currentY += container.rowGap;
+        const { autoMargins } = item.dimensions;
+        const [before, after] = fromRight
+          ? [autoMargins.right, autoMargins.left]
+          : [autoMargins.left, autoMargins.right];
+        // Auto margins align the item instead of align-self
+        const align =
+          before || after
+            ? before && after
+              ? "center"
+              : before
+                ? "end"
+                : "start"
+            : getAlignSelf(item.style, container);
+        const outerWidth =
+          align === "stretch" && item.dimensions.width === null
+            ? width
+            : item.fitWidth;
+        const offset = alignFlexItem(align, width - outerWidth);
+        renderLayoutItem(
+          item,
+          fromRight
+            ? pageFrame.right - parentRight - offset - outerWidth
+            : pageFrame.left + parentX + offset,
+          outerWidth,
+          0
+        );
+      });
+    }
 
-      // Calculate actual content height
-      contentHeight = currentY - contentY;
+    currentX = pageFrame.left + parentX;
+    currentRight = pageFrame.right - parentRight;
+  };
 
-      // Draw actual background and borders with correct height
-      const totalHeight =
-        contentHeight +
-        dimensions.padding.top +
-        dimensions.padding.bottom +
-        dimensions.border.top +
-        dimensions.border.bottom;
+  /**
+   * Lay out the children of a grid container in its rows and columns.
+   * Rows joined by items that span them are kept together on a page, so
+   * pages break between rows.
+   * @param {Element} element - Grid container
+   * @param {Object} style - Computed style of the container
+   */
+  const renderGridItems = (element, style) => {
+    const { scaleFactor } = pdf.internal;
+    // Relative to the content area, which may move on a new page
+    const parentX = currentX - pageFrame.left;
+    const parentRight = pageFrame.right - currentRight;
+    const width = currentRight - currentX;
+    const { rowGap, columnGap } = getGaps(
+      style,
+      scaleFactor,
+      getLengthContext(style, width)
+    );
+
+    const columnTracks = parseTrackList(
+      style.gridTemplateColumns,
+      scaleFactor,
+      width,
+      columnGap
+    );
+    const rowTracks = parseTrackList(
+      style.gridTemplateRows,
+      scaleFactor,
+      Infinity,
+      rowGap
+    );
+    const items = getLayoutItems(element, style);
+    const { areas, columnCount, rowCount } = placeGridItems(
+      items.map((item) =>
+        getGridPlacement(item.style, columnTracks.length, rowTracks.length)
+      ),
+      columnTracks.length
+    );
+
+    // Tracks beyond the template are sized by grid-auto-columns/rows
+    const [autoColumn = { type: "auto" }] = parseTrackList(
+      style.gridAutoColumns,
+      scaleFactor,
+      width,
+      columnGap
+    );
+    const [autoRow = { type: "auto" }] = parseTrackList(
+      style.gridAutoRows,
+      scaleFactor,
+      Infinity,
+      rowGap
+    );
+    /** @type {Track[]} */
+    const columns = Array.from(
+      { length: columnCount },
+      (_, index) => columnTracks[index] ?? autoColumn
+    );
+    /** @type {Track[]} */
+    const rows = Array.from(
+      { length: rowCount },
+      (_, index) => rowTracks[index] ?? autoRow
+    );
+
+    const columnSizes = sizeGridTracks(
+      columns,
+      width,
+      columnGap,
+      items.map((item, index) => {
+        const content = measureContentWidths(item.element, item.style);
+        return {
+          start: areas[index].column,
+          span: areas[index].columnSpan,
+          min: content.min + item.extra,
+          max: content.max + item.extra,
+        };
+      })
+    );
+    /**
+     * Get the position and size of a span of tracks
+     * @param {number[]} sizes - Size of each track
+     * @param {number} gap - Space between tracks
+     * @param {number} start - Index of the first track
+     * @param {number} span - Number of tracks
+     * @returns {{ offset: number, size: number }}
+     */
+    const getTrackSpan = (sizes, gap, start, span) => ({
+      offset: sizes.slice(0, start).reduce((sum, size) => sum + size + gap, 0),
+      size: sizes
+        .slice(start, start + span)
+        .reduce((sum, size) => sum + size, gap * (span - 1)),
+    });
+    const itemWidths = areas.map(
+      (area) =>
+        getTrackSpan(columnSizes, columnGap, area.column, area.columnSpan).size
+    );
+
+    const rowSizes = sizeGridTracks(
+      rows,
+      Infinity,
+      rowGap,
+      items.map((item, index) => {
+        const height = measureHeight(item.element, itemWidths[index], style);
+        return {
+          start: areas[index].row,
+          span: areas[index].rowSpan,
+          min: height,
+          max: height,
+        };
+      })
+    );
+
+    // Rows that items span together can't be split by a page break
+    const bands = [];
+    for (let row = 0; row < rowCount; ) {
+      let end = row + 1;
+      for (let next = row; next < end; next++) {
+        for (const area of areas) {
+          if (area.row === next) end = Math.max(end, area.row + area.rowSpan);
+        }
+      }
+      bands.push({ start: row, end });
+      row = end;
+    }
+
+    const rtl = getDirection(style) === "rtl";
+    bands.forEach(({ start, end }, bandIndex) => {
+      const band = getTrackSpan(rowSizes, rowGap, start, end - start);
+      if (bandIndex > 0) currentY += rowGap;
+      const unbreakable = paginate && keepTogether(band.size);
+      // Rows that break across pages don't end where they were measured
+      // to, so their items aren't stretched to fill them
+      const fits = !paginate || unbreakable;
+      if (unbreakable) unbreakableDepth++;
+      startPendingPage();
+      const bandY = currentY;
+      const left = pageFrame.left + parentX;
+      const right = pageFrame.right - parentRight;
+
+      renderSideBySide(
+        bandY + band.size,
+        items.flatMap((item, index) => {
+          const area = areas[index];
+          if (area.row < start || area.row >= end) return [];
+          const column = getTrackSpan(
+            columnSizes,
+            columnGap,
+            area.column,
+            area.columnSpan
+          );
+          const row = getTrackSpan(rowSizes, rowGap, area.row, area.rowSpan);
+          // Items with a width sit at the start of their area, or where
+          // their auto margins put them
+          const { width, margin, autoMargins } = item.dimensions;
+          const outerWidth =
+            width === null
+              ? column.size
+              : Math.min(width + margin.left + margin.right, column.size);
+          const [before, after] = rtl
+            ? [autoMargins.right, autoMargins.left]
+            : [autoMargins.left, autoMargins.right];
+          const free = column.size - outerWidth;
+          const offset =
+            column.offset + (before ? (after ? free / 2 : free) : 0);
+          return [
+            () => {
+              currentY = bandY + row.offset - band.offset;
+              renderLayoutItem(
+                item,
+                rtl ? right - offset - outerWidth : left + offset,
+                outerWidth,
+                fits ? row.size : 0
+              );
+            },
+          ];
+        })
+      );
 
-      renderElementBackground(
+      if (unbreakable) unbreakableDepth--;
+    });
+
+    currentX = pageFrame.left + parentX;
+    currentRight = pageFrame.right - parentRight;
+  };
+
+  /**
+   * Render a block-level element and its children
+   * @param {Element} element - Element to render
+   * @param {string} tagName - Upper case tag name of the element
+   * @param {CSSStyleDeclaration} style - Computed style of the element
+   * @param {Object} dimensions - Result of getElementDimensions
+   */
+  const renderBlockElement = (element, tagName, style, dimensions) => {
+    if (element === tocPlaceholder) {
+      currentY += dimensions.margin.top;
+      renderTableOfContents(style);
+      pageIsBlank = false;
+      currentY += dimensions.margin.bottom;
+      return;
+    }
+
+    // Tables are laid out by jspdf-autotable, which handles its own page breaks
+    if (tagName === "TABLE") {
+      currentY += dimensions.margin.top;
+      const tableX = currentX + dimensions.margin.left;
+      currentY = renderTable(pdf, element, window, {
+        style,
+        x: tableX,
+        y: currentY,
+        width:
+          dimensions.innerWidth ??
+          currentRight - tableX - dimensions.margin.right,
+        frame: pageFrame,
+        avoidBreak: paginate && getBreakValue(style, "inside") === "avoid",
+        // Pages added by the table continue the current page
+        onAddPage: () => {
+          const { pageNumber } = pdf.getCurrentPageInfo();
+          pageContentStarts.set(
+            pageNumber,
+            pdf.internal.pages[pageNumber].length
+          );
+          applyPageBox(getPageBox(pageBox.name, false));
+          fixedElements.forEach((fixed) =>
+            renderOutOfFlow(fixed, getPageBlock())
+          );
+        },
+      });
+      pageIsBlank = false;
+      currentY += dimensions.margin.bottom;
+      return;
+    }
+
+    if (tagName === "IMG") {
+      // Auto margins share the space the image leaves once its size is known
+      const { autoMargins } = dimensions;
+      const marginLeft = autoMargins.left ? 0 : dimensions.margin.left;
+      const marginRight = autoMargins.right ? 0 : dimensions.margin.right;
+      const image = handleImageElement(
         pdf,
-        elementX,
-        elementY,
-        elementWidth,
-        totalHeight,
+        element,
         style,
-        dimensions
+        currentRight - currentX - marginLeft - marginRight,
+        pageFrame.bottom - pageFrame.top,
+        baseDir,
+        allowAbsolutePaths
       );
+      if (!image) return;
 
-      // Restore positions
-      currentX = pagePadding;
-      currentY = elementY + totalHeight + dimensions.margin.bottom;
+      const free = Math.max(
+        currentRight - currentX - marginLeft - marginRight - image.width,
+        0
+      );
+      let imageX = currentX + marginLeft;
+      if (dimensions.isBlock && autoMargins.left) {
+        imageX += autoMargins.right ? free / 2 : free;
+      }
+
+      currentY += dimensions.margin.top;
+      checkForNewPage(image.height);
+      pdf.addImage(
+        image.image.data,
+        image.image.format,
+        imageX,
+        currentY,
+        image.width,
+        image.height
+      );
+      pageIsBlank = false;
+      currentY += image.height + dimensions.margin.bottom;
+      return;
     }
-    // Handle special elements
-    else if (tagName === "IMG") {
-      // Flush pending inline elements
-      flushInlineElements();
 
-      // Handle image - simplified for example
-      currentY += 10; // Placeholder for image handling
+    if (tagName === "UL" || tagName === "OL") {
+      // Relative to the content area, which may move on a new page
+      const parentX = currentX - pageFrame.left;
+      const parentRight = pageFrame.right - currentRight;
+      listStack.push(createListContext(element, listStack.length));
+
+      // Markers go in the indent on the start side of the list
+      currentY += dimensions.margin.top;
+      currentX += dimensions.margin.left;
+      currentRight -= dimensions.margin.right;
+      if (getDirection(style) === "rtl") {
+        currentRight -= element.style.paddingRight
+          ? dimensions.padding.right
+          : listIndent;
+      } else {
+        currentX += element.style.paddingLeft
+          ? dimensions.padding.left
+          : listIndent;
+      }
+
+      processChildren(element, style);
+
+      listStack.pop();
+      currentX = pageFrame.left + parentX;
+      currentRight = pageFrame.right - parentRight;
+      currentY += dimensions.margin.bottom;
+      return;
     }
-    // Handle inline elements
-    else {
-      // Process children for inline elements
-      for (const child of element.childNodes) {
-        processNode(child, style);
+
+    if (tagName === "LI" || style.display === "list-item") {
+      const list = listStack[listStack.length - 1] ?? {
+        type: "disc",
+        counter: 1,
+        step: 1,
+      };
+      const value = parseInt(element.getAttribute("value") ?? "");
+      if (!isNaN(value)) {
+        list.counter = value;
+      }
+
+      currentY += dimensions.margin.top;
+      checkForNewPage(getTextDimensions(pdf, "", style).height);
+
+      const parentX = currentX - pageFrame.left;
+      const parentRight = pageFrame.right - currentRight;
+      currentX += dimensions.margin.left;
+      currentRight -= dimensions.margin.right;
+      renderListMarker(
+        pdf,
+        getAuthorListStyleType(element) || list.type,
+        list.counter,
+        getDirection(style) === "rtl" ? currentRight : currentX,
+        currentY + getInlineMetrics(pdf, style).ascent,
+        style
+      );
+      pageIsBlank = false;
+
+      processChildren(element, style);
+
+      list.counter += list.step;
+      currentX = pageFrame.left + parentX;
+      currentRight = pageFrame.right - parentRight;
+      currentY += dimensions.margin.bottom;
+      return;
+    }
+
+    // Handle block elements
+    // Add margins
+    currentY += dimensions.margin.top;
+
+    // Check if we need a new page
+    const estimatedHeight =
+      dimensions.padding.top +
+      dimensions.padding.bottom +
+      getTextDimensions(pdf, "", style).height;
+
+    checkForNewPage(estimatedHeight);
+
+    if (/^H[1-6]$/.test(tagName)) {
+      const position = {
+        pageNumber: pdf.getCurrentPageInfo().pageNumber,
+        y: currentY,
+      };
+      headings.push({
+        level: parseInt(tagName[1]),
+        text: element.textContent.trim().replace(/\s+/g, " "),
+        ...position,
+      });
+
+      const tocIndex = tocHeadings.findIndex(
+        (heading) => heading.element === element
+      );
+      if (tocIndex !== -1) {
+        tocPositions[tocIndex] = position;
       }
     }
+
+    // Calculate element width and position
+    const parentX = currentX - pageFrame.left;
+    const parentRight = pageFrame.right - currentRight;
+    const elementX = currentX + dimensions.margin.left;
+    const elementWidth = dimensions.innerWidth;
+    const contentX =
+      elementX + dimensions.padding.left + dimensions.border.left;
+
+    // Start Y position for content
+    let elementY = currentY;
+    const contentY = elementY + dimensions.padding.top + dimensions.border.top;
+
+    // Track the height of the content
+    let contentHeight = 0;
+
+    // Render element background and borders
+    if (debug) {
+      // Draw debug box
+      pdf.setDrawColor(200, 0, 0);
+      pdf.setLineWidth(0.1);
+      pdf.rect(elementX, elementY, elementWidth, 10); // Temporary height
+    }
+
+    // Positioned boxes are the containing block of their absolutely
+    // positioned descendants, which are placed once the box has a height
+    const positioned = style.position === "relative" || isOutOfFlow(style);
+    if (positioned) absoluteElements.push([]);
+    const startPage = pdf.getCurrentPageInfo().pageNumber;
+    const contentStart = pdf.internal.pages[startPage].length;
+    const floatCount = floats.length;
+
+    // A cloned box is a whole box on every page it goes on to, with its
+    // padding and borders around the content there
+    const outerInsets = cloneInsets;
+    const clone = style.boxDecorationBreak === "clone";
+    if (clone) {
+      cloneInsets = {
+        top: outerInsets.top + dimensions.padding.top + dimensions.border.top,
+        bottom:
+          outerInsets.bottom +
+          dimensions.padding.bottom +
+          dimensions.border.bottom,
+      };
+    }
+
+    // Prepare for children
+    currentX = contentX;
+    currentY = contentY;
+    currentRight =
+      elementX +
+      elementWidth -
+      dimensions.border.right -
+      dimensions.padding.right;
+
+    // Numbered code goes after a gutter as wide as the last number
+    const parentLineNumbers = lineNumbers;
+    lineNumbers = null;
+    const firstLineNumber =
+      tagName === "PRE" ? getFirstLineNumber(element) : null;
+    if (firstLineNumber !== null) {
+      const lastLineNumber =
+        firstLineNumber + countLines(element.textContent) - 1;
+      const gap = getFontSize(style) / pdf.internal.scaleFactor;
+      currentX +=
+        measureRunText({ text: "", style }, String(lastLineNumber)) + gap;
+      lineNumbers = { next: firstLineNumber, lineStart: true, gap };
+    }
+
+    if (style.display === "flex") {
+      renderFlexItems(element, style);
+    } else if (style.display === "grid") {
+      renderGridItems(element, style);
+    } else {
+      processChildren(element, style);
+    }
+    lineNumbers = parentLineNumbers;
+    cloneInsets = outerInsets;
+
+    // Blocks that start a new formatting context contain their floats
+    if (
+      style.display === "flow-root" ||
+      (style.overflow && style.overflow !== "visible")
+    ) {
+      currentY = getClearance(
+        floats.slice(floatCount),
+        pdf.getCurrentPageInfo().pageNumber,
+        "both",
+        "ltr",
+        currentY
+      );
+    }
+
+    // Calculate actual content height
+    contentHeight = currentY - contentY;
+
+    // Draw actual background and borders with correct height
+    const totalHeight = Math.max(
+      Math.min(
+        dimensions.height ??
+          contentHeight +
+            dimensions.padding.top +
+            dimensions.padding.bottom +
+            dimensions.border.top +
+            dimensions.border.bottom,
+        dimensions.maxHeight
+      ),
+      dimensions.minHeight
+    );
+
+    // A box that goes on to other pages is split at the page breaks, and
+    // ends with its content on the last page
+    const endPage = pdf.getCurrentPageInfo().pageNumber;
+    const bottom =
+      endPage === startPage
+        ? elementY + totalHeight
+        : currentY + dimensions.padding.bottom + dimensions.border.bottom;
+    const fragments = [];
+    for (let pageNumber = startPage; pageNumber <= endPage; pageNumber++) {
+      const frame = pageFrames.get(pageNumber) ?? pageFrame;
+      const first = pageNumber === startPage;
+      fragments.push({
+        pageNumber,
+        x: first ? elementX : frame.left + parentX + dimensions.margin.left,
+        top: first ? elementY : frame.top + outerInsets.top,
+        bottom:
+          pageNumber === endPage ? bottom : frame.bottom - outerInsets.bottom,
+      });
+    }
+
+    // The parts of a sliced box are cut from one box as tall as all of
+    // them together, so its borders and corners only show at its ends
+    const slicedHeight = fragments.reduce(
+      (height, fragment) => height + fragment.bottom - fragment.top,
+      0
+    );
+    let sliced = 0;
+    fragments.forEach((fragment, index) => {
+      const height = fragment.bottom - fragment.top;
+      const first = index === 0;
+      const last = index === fragments.length - 1;
+      drawBelowContent(
+        fragment.pageNumber,
+        first
+          ? contentStart
+          : (pageContentStarts.get(fragment.pageNumber) ?? 0),
+        () => {
+          if (clone || fragments.length === 1) {
+            renderElementBackground(
+              pdf,
+              fragment.x,
+              fragment.top,
+              elementWidth,
+              height,
+              style,
+              dimensions
+            );
+            return;
+          }
+          // Shadows still show beyond the ends of the box
+          renderElementBackground(
+            pdf,
+            fragment.x,
+            fragment.top - sliced,
+            elementWidth,
+            slicedHeight,
+            style,
+            dimensions,
+            {
+              top: first ? 0 : fragment.top,
+              bottom: last
+                ? pdf.internal.pageSize.getHeight()
+                : fragment.bottom,
+            }
+          );
+        }
+      );
+      sliced += height;
+    });
+
+    if (positioned) {
+      // Boxes that go on to other pages are cut at the end of the first
+      const blockBottom = fragments[0].bottom;
+      const { border } = dimensions;
+      const block = {
+        pageNumber: startPage,
+        x: elementX + border.left,
+        y: elementY + border.top,
+        width: elementWidth - border.left - border.right,
+        height: blockBottom - elementY - border.top - border.bottom,
+      };
+      absoluteElements
+        .pop()
+        .forEach((absolute) => renderOutOfFlow(absolute, block));
+    }
+
+    // Restore positions
+    currentX = pageFrame.left + parentX;
+    currentRight = pageFrame.right - parentRight;
+    currentY = bottom + dimensions.margin.bottom;
   };
 
-  // Start processing from body
-  processNode(document.body);
+  if (!frame) {
+    applyPageBox(pageBox);
+  }
+
+  // Start processing from body, which inherits from the root element
+  const rootStyle = window.getComputedStyle(document.documentElement);
+  rootFontSize = resolveFontSize(rootStyle.fontSize, DEFAULT_FONT_SIZE);
+  rootStyle.fontSize = `${rootFontSize}px`;
+  inheritStyle(document.documentElement, rootStyle, {});
+  resolveCurrentColor(rootStyle, {});
+  rootStyle.lineHeight = resolveLineHeight(
+    rootStyle.lineHeight,
+    rootFontSize,
+    rootFontSize
+  );
+  if (root) {
+    processNode(root.element, root.parentStyle);
+  } else {
+    processNode(document.body, rootStyle);
+  }
 
   // Flush any remaining inline elements
   flushInlineElements();
+
+  if (outline) {
+    addOutline(pdf, headings);
+  }
+
+  // Point internal links at the rendered position of their targets
+  internalLinks.forEach(({ getTarget, options }) => {
+    const anchor = getTarget();
+    if (anchor) {
+      Object.assign(options, {
+        pageNumber: anchor.pageNumber,
+        magFactor: "XYZ",
+        top: anchor.y,
+      });
+    }
+  });
+
+  // The document contains its floats
+  const endY = getClearance(
+    floats,
+    pdf.getCurrentPageInfo().pageNumber,
+    "both",
+    "ltr",
+    currentY
+  );
+
+  return { endY, tocPositions, pageFrames };
 };
 
 /**
- * Generate PDF from HTML
+ * Replace the {{page}} and {{pages}} placeholders of a header or footer
+ * @param {string} html - Header or footer HTML
+ * @param {number} pageNumber - Current page number
+ * @param {number} pageCount - Total number of pages
+ * @returns {string}
+ */
+const fillPagePlaceholders = (html, pageNumber, pageCount) =>
+  html
+    .replace(/\{\{\s*page\s*\}\}/g, String(pageNumber))
+    .replace(/\{\{\s*pages\s*\}\}/g, String(pageCount));
+
+/**
+ * Lay out header or footer HTML in an area of the current page
+ * @param {jsPDF} pdf - The PDF document
+ * @param {string} html - Header or footer HTML, placeholders filled in
+ * @param {Rect} rect - Area reserved for it
+ * @param {LayoutOptions} options - Layout options
+ * @returns {number} Y position after the content
+ */
+const renderDecorationHtml = (pdf, html, rect, options) =>
+  renderHtml({
+    pdf,
+    html,
+    options: {
+      ...options,
+      header: undefined,
+      footer: undefined,
+      outline: false,
+    },
+    frame: {
+      top: rect.y,
+      bottom: rect.y + rect.height,
+      left: rect.x,
+      right: rect.x + rect.width,
+    },
+    paginate: false,
+  }).endY;
+
+/**
+ * Draw a header or footer in its reserved area of the current page
  * @param {Object} params
+ * @param {jsPDF} params.pdf - The PDF document
+ * @param {string | HeaderFooterCallback} params.content - Header or footer
+ * @param {Rect} params.rect - Area reserved for it
+ * @param {number} params.pageNumber - Current page number
+ * @param {number} params.pageCount - Total number of pages
+ * @param {LayoutOptions} params.options - Layout options
+ */
+const renderPageDecoration = ({
+  pdf,
+  content,
+  rect,
+  pageNumber,
+  pageCount,
+  options,
+}) => {
+  const html =
+    typeof content === "function"
+      ? content({ pdf, pageNumber, pageCount, rect })
+      : content;
+  if (typeof html === "string") {
+    renderDecorationHtml(
+      pdf,
+      fillPagePlaceholders(html, pageNumber, pageCount),
+      rect,
+      options
+    );
+  }
+};
+
+/**
+ * Measure the height a header or footer needs
+ * @param {jsPDF} pdf - The PDF document
+ * @param {string | HeaderFooterCallback | undefined} content - Header or footer
+ * @param {number | undefined} height - Height given in the options
+ * @param {LayoutOptions} options - Layout options
+ * @returns {number}
+ */
+const measurePageDecoration = (pdf, content, height, options) => {
+  if (height != null) return height;
+  if (!content) return 0;
+
+  const layoutPdf = createLayoutPdf(pdf);
+  const margin = getPageMargin(pdf, options);
+  const rect = {
+    x: margin.left,
+    y: margin.top,
+    width: layoutPdf.internal.pageSize.getWidth() - margin.left - margin.right,
+    height:
+      layoutPdf.internal.pageSize.getHeight() - margin.top - margin.bottom,
+  };
+  const html =
+    typeof content === "function"
+      ? content({ pdf: layoutPdf, pageNumber: 1, pageCount: 1, rect })
+      : content;
+  // Callbacks that draw directly have nothing to measure
+  if (typeof html !== "string") return 0;
+
+  const endY = renderDecorationHtml(
+    layoutPdf,
+    fillPagePlaceholders(html, 1, 1),
+    rect,
+    options
+  );
+  return endY - rect.y;
+};
+
+/**
+ * Process HTML and convert to PDF
+ * @param {Object} params
+ * @param {jsPDF} params.pdf - The PDF document
  * @param {string} params.html - HTML content
  * @param {LayoutOptions} [params.options] - Layout options
- * @param {string} [params.pdfPath] - Output path for the PDF file
  */
-export function generatePdf({ html, options, pdfPath = "./output/a4.pdf" }) {
-  const pdf = new jsPDF();
+export const insertHtmlToPdf = ({ pdf, html, options = {} }) => {
+  const { header, footer } = options;
+
+  // Keep the header and footer areas out of the content on every page
+  const headerHeight = measurePageDecoration(
+    pdf,
+    header,
+    options.headerHeight,
+    options
+  );
+  const footerHeight = measurePageDecoration(
+    pdf,
+    footer,
+    options.footerHeight,
+    options
+  );
+  const reserved = { top: headerHeight, bottom: footerHeight };
+
+  const firstPage = pdf.getCurrentPageInfo().pageNumber;
+
+  let pageFrames;
+  if (!hasTocPlaceholder(html)) {
+    ({ pageFrames } = renderHtml({ pdf, html, options, reserved }));
+  } else {
+    // The table of contents needs the final page of every heading, which
+    // is only known after layout. Lay the document out once on a scratch
+    // copy, with the TOC taking the same space it will take in the end.
+    const { tocPositions } = renderHtml({
+      pdf: createLayoutPdf(pdf),
+      html,
+      options: { ...options, outline: false },
+      reserved,
+    });
+
+    const pageOffset = firstPage - 1;
+    ({ pageFrames } = renderHtml({
+      pdf,
+      html,
+      options,
+      reserved,
+      tocPageNumbers: tocPositions.map((position) =>
+        position ? position.pageNumber + pageOffset : null
+      ),
+    }));
+  }
 
-  // Add custom font
-  pdf.addFileToVFS("GoNotoKurrent-Regular.ttf", globalFontRegular);
-  pdf.addFileToVFS("GoNotoKurrent-Bold.ttf", globalFontBold);
-  pdf.addFont("GoNotoKurrent-Regular.ttf", "GoNotoKurrentRegular", "normal");
-  pdf.addFont("GoNotoKurrent-Bold.ttf", "GoNotoKurrentBold", "bold");
-  pdf.setFont("GoNotoKurrentRegular", "normal");
+  if (!header && !footer) return;
+
+  // Decorate pages once the page count is known
+  const lastPage = pdf.getNumberOfPages();
+  for (let pageNumber = firstPage; pageNumber <= lastPage; pageNumber++) {
+    pdf.setPage(pageNumber);
+    const frame = pageFrames.get(pageNumber);
+    if (!frame) continue;
+
+    const decoration = { pageNumber, pageCount: lastPage, options, pdf };
+    if (header) {
+      renderPageDecoration({
+        ...decoration,
+        content: header,
+        rect: {
+          x: frame.left,
+          y: frame.top - headerHeight,
+          width: frame.right - frame.left,
+          height: headerHeight,
+        },
+      });
+    }
+    if (footer) {
+      renderPageDecoration({
+        ...decoration,
+        content: footer,
+        rect: {
+          x: frame.left,
+          y: frame.bottom,
+          width: frame.right - frame.left,
+          height: footerHeight,
+        },
+      });
+    }
+  }
+  pdf.setPage(lastPage);
+};
+
+/**
+ * Lay out HTML in a new PDF document
+ * @param {Object} params
+ * @param {string} params.html - HTML content
+ * @param {LayoutOptions} [params.options] - Layout options
+ * @returns {jsPDF} The finished document
+ */
+export const createPdf = ({ html, options }) => {
+  const { format = "a4", orientation, unit = "mm" } = options ?? {};
+  // Sizes are resolved in the document unit, so ask jsPDF what it is
+  const { scaleFactor } = new jsPDF({ unit }).internal;
+  const [width, height] = resolvePageSize(format, orientation, scaleFactor);
+  const pdf = new jsPDF({
+    unit,
+    format: [width, height],
+    orientation: width > height ? "landscape" : "portrait",
+  });
 
   insertHtmlToPdf({ pdf, html, options });
 
+  return pdf;
+};
+
+/**
+ * Generate PDF from HTML. The PDF is saved to `pdfPath`, unless `output`
+ * asks for it to be returned instead.
+ * @param {Object} params
+ * @param {string} params.html - HTML content
+ * @param {LayoutOptions} [params.options] - Layout options
+ * @param {string} [params.pdfPath] - Output path for the PDF file
+ * @param {OutputType} [params.output] - Return the PDF in this form
+ *   instead of writing a file
+ * @returns {PdfOutput | undefined} The PDF when `output` is given
+ */
+export function generatePdf({
+  html,
+  options,
+  pdfPath = "./output/a4.pdf",
+  output,
+}) {
+  const pdf = createPdf({ html, options });
+  if (output) {
+    return getPdfOutput(pdf, output);
+  }
   pdf.save(pdfPath);
 }
+
+/**
+ * Like `generatePdf`, but the file is written without blocking the event
+ * loop. Laying out the HTML still runs synchronously.
+ * @param {Object} params
+ * @param {string} params.html - HTML content
+ * @param {LayoutOptions} [params.options] - Layout options
+ * @param {string} [params.pdfPath] - Output path for the PDF file
+ * @param {OutputType} [params.output] - Return the PDF in this form
+ *   instead of writing a file
+ * @returns {Promise<PdfOutput | undefined>} Resolves once the PDF is written,
+ *   or with the PDF when `output` is given
+ */
+export async function generatePdfAsync({
+  html,
+  options,
+  pdfPath = "./output/a4.pdf",
+  output,
+}) {
+  const pdf = createPdf({ html, options });
+  if (output) {
+    return getPdfOutput(pdf, output);
+  }
+  await writeFile(pdfPath, getPdfOutput(pdf, "buffer"));
+}
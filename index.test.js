@@ -1,13 +1,19 @@
 import fs from "fs";
 import path from "path";
 
+import { jest } from "@jest/globals";
 import puppeteer from "puppeteer";
 import pixelmatch from "pixelmatch";
 import { PNG } from "pngjs";
 import { toMatchImageSnapshot } from "jest-image-snapshot";
 import { fromPath } from "pdf2pic";
 
-import { generatePdf } from "./index.mjs";
+import {
+  createPdf,
+  generatePdf,
+  generatePdfAsync,
+  registerFont,
+} from "./index.mjs";
 
 // Configure image snapshot matcher with more lenient settings
 const customConfig = {
@@ -332,6 +338,40 @@ describe("HTML to PDF Conversion", () => {
         ...customConfig,
       });
     });
+
+    test("styles elements with the base and user stylesheets", async () => {
+      const html = `
+        <html>
+          <body>
+            <h1>Heading</h1>
+            <p>Text with <strong>strong</strong>, <em>em</em>, <small>small</small>,
+              <code>code</code> and a <a href="https://example.com">link</a>.</p>
+            <blockquote>An indented quotation.</blockquote>
+            <hr>
+            <p class="tight">No space after this paragraph.</p>
+            <p>Set in the default font with the line height option.</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "stylesheets-test.pdf");
+      generatePdf({
+        html,
+        pdfPath: outputPath,
+        options: {
+          lineHeight: 1.5,
+          paragraphSpacing: 16,
+          defaultFont: "times",
+          stylesheet: ".tight { margin: 0; } h1 { color: #336; }",
+        },
+      });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "stylesheets-test",
+        ...customConfig,
+      });
+    });
   });
 
   // Test CSS styling
@@ -383,6 +423,38 @@ describe("HTML to PDF Conversion", () => {
         ...customConfig,
       });
     });
+
+    test("decorates, shifts, spaces and transforms text", async () => {
+      const html = `
+        <html>
+          <style>
+            h2 { text-transform: uppercase; letter-spacing: 3px; }
+            .old { color: #999; text-decoration: line-through red; }
+            .caps { font-variant: small-caps; }
+          </style>
+          <body>
+            <h2>Quote summary</h2>
+            <p>Water is H<sub>2</sub>O, see the terms<sup><a href="#terms">1</a></sup>.</p>
+            <p>Price: <span class="old">€ 1 200</span> <strong>€ 990</strong></p>
+            <p><u>Underlined with a <sup>raised</sup> word</u> and
+              <span style="text-decoration: overline double blue">overlined</span>.</p>
+            <p style="text-transform: capitalize">the quick brown fox</p>
+            <p class="caps">Small Caps Heading</p>
+            <p style="word-spacing: 12px">Words spaced apart</p>
+            <p id="terms"><sup>1</sup> Terms apply.</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "text-decoration-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "text-decoration-test",
+        ...customConfig,
+      });
+    });
   });
 
   // Test complex layouts
@@ -410,5 +482,1053 @@ describe("HTML to PDF Conversion", () => {
         ...customConfig,
       });
     });
+
+    test("renders tables with header, spans and cell styles", async () => {
+      const html = `
+        <html>
+          <body>
+            <table style="border: 1px solid black;">
+              <thead>
+                <tr>
+                  <th style="background-color: #336; color: white;">Item</th>
+                  <th style="text-align: right;">Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr><td>Pen</td><td style="text-align: right;">2.00</td></tr>
+                <tr><td colspan="2" style="background-color: #eee;">Spanning row</td></tr>
+              </tbody>
+            </table>
+            <p>Text after the table</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "tables-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "tables-test",
+        ...customConfig,
+      });
+    });
+
+    test("renders images with aspect-ratio sizing", async () => {
+      const png =
+        "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAQAAAACCAYAAAB/qH1jAAAABHNCSVQICAgIfAhkiAAAAAFzUkdCAK7OHOkAAAATSURBVAiZYzxjbPyfAQkwMaABAEUhAjXBdqYGAAAAAElFTkSuQmCC";
+      const html = `
+        <html>
+          <body>
+            <p>Images below</p>
+            <img src="${png}" style="width: 200px;">
+            <img src="${png}" height="50">
+            <img src="${png}" style="width: 100%; max-width: 300px;">
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "images-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "images-test",
+        ...customConfig,
+      });
+    });
+
+    test("only loads local images inside baseDir", () => {
+      const png = Buffer.from(
+        "iVBORw0KGgoAAAANSUhEUgAAAAQAAAACCAYAAAB/qH1jAAAABHNCSVQICAgIfAhkiAAAAAFzUkdCAK7OHOkAAAATSURBVAiZYzxjbPyfAQkwMaABAEUhAjXBdqYGAAAAAElFTkSuQmCC",
+        "base64"
+      );
+      const baseDir = path.resolve(artifactsDir, "images");
+      fs.mkdirSync(baseDir, { recursive: true });
+      fs.writeFileSync(path.join(baseDir, "inside.png"), png);
+      const outside = path.resolve(artifactsDir, "outside.png");
+      fs.writeFileSync(outside, png);
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const countImages = (html, options = {}) =>
+        Object.keys(
+          createPdf({ html, options: { baseDir, ...options } }).internal
+            .collections.addImage_images ?? {}
+        ).length;
+
+      try {
+        expect(countImages(`<img src="inside.png">`)).toBe(1);
+        expect(countImages(`<img src="${baseDir}/inside.png">`)).toBe(1);
+        expect(countImages(`<img src="../outside.png">`)).toBe(0);
+        expect(countImages(`<img src="${outside}">`)).toBe(0);
+        expect(countImages(`<img src="file://${outside}">`)).toBe(0);
+        expect(
+          countImages(`<img src="${outside}">`, { allowAbsolutePaths: true })
+        ).toBe(1);
+        expect(
+          countImages(`<img src="../outside.png">`, {
+            allowAbsolutePaths: true,
+          })
+        ).toBe(0);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test("renders ordered, unordered and nested lists", async () => {
+      const html = `
+        <html>
+          <body>
+            <ul>
+              <li>Bullet item that is long enough to wrap onto a second line and show the hanging indent</li>
+              <li>Nested
+                <ul>
+                  <li>Circle item</li>
+                </ul>
+              </li>
+            </ul>
+            <ol start="3" reversed>
+              <li>Three</li>
+              <li>Two</li>
+            </ol>
+            <ol style="list-style-type: upper-roman;">
+              <li>One</li>
+              <li>Two</li>
+            </ol>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "lists-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "lists-test",
+        ...customConfig,
+      });
+    });
+
+    test("replaces the TOC placeholder with a table of contents", async () => {
+      const html = `
+        <html>
+          <body>
+            <nav data-pdf-toc></nav>
+            <h1>Introduction</h1>
+            <p>Opening paragraph.</p>
+            <h2>Background</h2>
+            <p>Some background.</p>
+            <h1>Conclusion</h1>
+            <p>Closing paragraph.</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "toc-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "toc-test",
+        ...customConfig,
+      });
+    });
+
+    test("repeats header and footer with page numbers", async () => {
+      const paragraphs = Array.from(
+        { length: 60 },
+        (_, i) => `<p>Paragraph ${i + 1}</p>`
+      ).join("");
+      const html = `
+        <html>
+          <body>${paragraphs}</body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "header-footer-test.pdf");
+      generatePdf({
+        html,
+        options: {
+          header: "<p>Company letterhead</p>",
+          footer:
+            '<p style="text-align: right;">Page {{page}} of {{pages}}</p>',
+        },
+        pdfPath: outputPath,
+      });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "header-footer-test",
+        ...customConfig,
+      });
+    });
+
+    test("honors page breaks and @page rules", async () => {
+      const paragraphs = Array.from(
+        { length: 14 },
+        (_, i) => `<p>Paragraph ${i + 1}</p>`
+      ).join("");
+      const html = `
+        <html>
+          <head>
+            <style>
+              @page { size: A5; margin: 15mm; }
+              @page :first { margin-top: 40mm; }
+              .keep { break-inside: avoid; }
+              .chapter { page-break-before: always; }
+            </style>
+          </head>
+          <body>
+            ${paragraphs}
+            <div class="keep">
+              <p>Kept line 1</p>
+              <p>Kept line 2</p>
+              <p>Kept line 3</p>
+              <p>Kept line 4</p>
+            </div>
+            <div class="chapter"><p>Chapter two</p></div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "page-breaks-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "page-breaks-test",
+        ...customConfig,
+      });
+    });
+
+    test("uses the page format, orientation and margins options", async () => {
+      const html = `
+        <html>
+          <body>
+            <h1>Shipping label</h1>
+            <div style="border: 2px solid black; padding: 10px;">
+              <p>To: Jane Doe</p>
+              <p>123 Main Street</p>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "page-format-test.pdf");
+      generatePdf({
+        html,
+        options: {
+          format: ["4in", "6in"],
+          orientation: "landscape",
+          margin: "0.25in 0.5in",
+        },
+        pdfPath: outputPath,
+      });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "page-format-test",
+        ...customConfig,
+      });
+    });
+
+    test("uses @font-face and registered fonts", async () => {
+      const fontsDir = path.join(process.cwd(), "static", "fonts");
+      const bold = fs.readFileSync(
+        path.join(fontsDir, "GoNotoKurrent-Bold.ttf")
+      );
+      registerFont("Registered Bold", "normal", 400, bold);
+
+      const html = `
+        <html>
+          <head>
+            <style>
+              @font-face {
+                font-family: "Brand Sans";
+                src: url("https://fonts.example.com/brand.woff2") format("woff2"),
+                  url("GoNotoKurrent-Bold.ttf") format("truetype");
+              }
+              h1 { font-family: "Brand Sans", sans-serif; font-weight: normal; }
+            </style>
+          </head>
+          <body>
+            <h1>Brand heading</h1>
+            <p style="font-family: Missing, 'Registered Bold'">Registered font</p>
+            <p style="font-family: Missing">Default font</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "font-face-test.pdf");
+      generatePdf({
+        html,
+        options: { baseDir: fontsDir },
+        pdfPath: outputPath,
+      });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "font-face-test",
+        ...customConfig,
+      });
+    });
+
+    test("falls back to the default font for fonts that aren't TrueType", () => {
+      const baseDir = path.resolve(artifactsDir, "fonts");
+      fs.mkdirSync(baseDir, { recursive: true });
+      const padding = Buffer.alloc(64);
+      fs.writeFileSync(
+        path.join(baseDir, "brand.woff2"),
+        Buffer.concat([Buffer.from("wOF2"), padding])
+      );
+      fs.writeFileSync(
+        path.join(baseDir, "broken.ttf"),
+        Buffer.concat([Buffer.from([0, 1, 0, 0]), padding])
+      );
+      fs.copyFileSync(
+        path.join(process.cwd(), "static", "fonts", "GoNotoKurrent-Bold.ttf"),
+        path.join(baseDir, "brand.ttf")
+      );
+      registerFont("Broken WOFF", "normal", 400, `${baseDir}/brand.woff2`);
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+      const fontOf = (src, family = "Brand") =>
+        createPdf({
+          html: `
+            <style>@font-face { font-family: Brand; src: ${src}; }</style>
+            <p style="font-family: ${family}">Hello</p>
+          `,
+          options: { baseDir },
+        }).getFont().fontName;
+
+      try {
+        expect(fontOf(`url("brand.woff2")`, "Broken WOFF")).toBe(
+          "GoNotoKurrentRegular"
+        );
+        expect(fontOf(`url("brand.woff2") format("woff2")`)).toBe(
+          "GoNotoKurrentRegular"
+        );
+        expect(fontOf(`url("broken.ttf")`)).toBe("GoNotoKurrentRegular");
+        expect(
+          fontOf(`url("brand.woff2") format("woff2"), url("brand.ttf")`)
+        ).toMatch(/^Brand-/);
+      } finally {
+        warn.mockRestore();
+        error.mockRestore();
+      }
+    });
+
+    test("only loads @font-face fonts inside baseDir", () => {
+      const baseDir = path.resolve(artifactsDir, "fonts", "inside");
+      fs.mkdirSync(baseDir, { recursive: true });
+      const fontsDir = path.join(process.cwd(), "static", "fonts");
+      fs.copyFileSync(
+        path.join(fontsDir, "GoNotoKurrent-Bold.ttf"),
+        path.join(baseDir, "inside.ttf")
+      );
+      const outside = path.resolve(baseDir, "..", "outside.ttf");
+      fs.copyFileSync(path.join(fontsDir, "GoNotoKurrent-Bold.ttf"), outside);
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const fontOf = (url, options = {}) =>
+        createPdf({
+          html: `
+            <style>@font-face { font-family: Brand; src: url("${url}"); }</style>
+            <p style="font-family: Brand">Hello</p>
+          `,
+          options: { baseDir, ...options },
+        }).getFont().fontName;
+
+      try {
+        expect(fontOf("inside.ttf")).toMatch(/^Brand-/);
+        expect(fontOf("../outside.ttf")).toBe("GoNotoKurrentRegular");
+        expect(fontOf(outside)).toBe("GoNotoKurrentRegular");
+        expect(fontOf(`file://${outside}`)).toBe("GoNotoKurrentRegular");
+        expect(fontOf(outside, { allowAbsolutePaths: true })).toMatch(
+          /^Brand-/
+        );
+        expect(fontOf("../outside.ttf", { allowAbsolutePaths: true })).toBe(
+          "GoNotoKurrentRegular"
+        );
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test("lays out right-to-left and bidirectional text", async () => {
+      const html = `
+        <html dir="rtl">
+          <body>
+            <h1>فاکتور فروش</h1>
+            <p>مبلغ کل: 1,250,000 ریال (شامل مالیات)</p>
+            <p style="text-align: end">لا إله — English inside فارسی text.</p>
+            <ol>
+              <li>مورد اول</li>
+              <li>מוצר שני</li>
+            </ol>
+            <p dir="ltr">Left to right: English then עברית then English.</p>
+            <p dir="auto" style="direction: ltr">שלום עולם</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "rtl-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "rtl-test",
+        ...customConfig,
+      });
+    });
+
+    test("wraps mixed-style inline runs and honors white-space", async () => {
+      const html = `
+        <html>
+          <body>
+            <p>
+              Hello <b>bold</b> world. This paragraph has
+              <a href="https://example.com">a link that runs across</a> several
+              words, <i>italic text</i>, <span style="font-size: 24px">large
+              text</span> and keeps going long enough to wrap onto more lines.
+            </p>
+            <p style="text-align: center">Centered <b>bold</b><br>after a break</p>
+            <pre>pre   keeps   spaces
+  and newlines</pre>
+            <p style="white-space: nowrap">nowrap nowrap nowrap nowrap nowrap nowrap nowrap nowrap nowrap nowrap nowrap</p>
+            <p style="white-space: pre-line">pre-line   collapses
+but keeps newlines</p>
+            <p style="white-space: pre-wrap">pre-wrap   keeps   spaces and wraps lines that do not fit in the width of the page</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "inline-formatting-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "inline-formatting-test",
+        ...customConfig,
+      });
+    });
+
+    test("justifies, hyphenates and breaks long words", async () => {
+      const html = `
+        <html lang="en">
+          <body>
+            <p style="text-align: justify">
+              This Agreement is entered into by and between the parties
+              identified below. Each party <b>represents and warrants</b> that
+              it has full power and authority to enter into this Agreement.
+            </p>
+            <p style="text-align: justify; text-align-last: center">
+              Justified text whose last line is centered by text-align-last,
+              with enough words to wrap across lines.
+            </p>
+            <p style="text-align: justify; hyphens: auto">
+              Hyphenation keeps representative jurisdictional indemnification
+              provisions even.
+            </p>
+            <p>Soft hyphens: Donau&shy;dampf&shy;schiff&shy;fahrts&shy;gesellschafts&shy;kapitäns&shy;witwe&shy;versicherung word word</p>
+            <p style="word-break: break-all">https://example.com/a/very/long/path/that/keeps/going/without/any/spaces/at/all/abcdefghijklmnopqrstuvwxyz</p>
+            <p style="overflow-wrap: anywhere">ID: 0123456789abcdefghijklmnopqrstuvwxyz0123456789abcdefghijklmnopqrstuvwxyz0123456789</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "justify-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "justify-test",
+        ...customConfig,
+      });
+    });
+
+    test("renders code blocks with tabs, line numbers and page breaks", async () => {
+      const steps = Array.from(
+        { length: 60 },
+        (_, index) => `echo "step ${index + 1}"\t# log it`
+      ).join("\n");
+      const html = `
+        <html>
+          <style>
+            pre { background: #f4f4f4; border: 1px solid #ccc; padding: 8px; }
+          </style>
+          <body>
+            <p>Run <code>deploy.sh</code> on the host:</p>
+            <pre style="tab-size: 4">#!/bin/sh
+if [ -f .env ]; then
+\tsource .env
+fi</pre>
+            <pre class="line-numbers" data-start="10">${steps}</pre>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "code-block-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "code-block-test",
+        ...customConfig,
+      });
+    });
+
+    test("parses CSS colors and draws alpha as opacity", async () => {
+      const html = `
+        <html>
+          <head>
+            <style>
+              .brand { color: hsl(210 80% 40%); }
+              .overlay { background: rgb(255 0 0 / 50%); padding: 8px; }
+            </style>
+          </head>
+          <body>
+            <p class="brand">Brand color <span>inherited</span></p>
+            <p style="color: #f808">Four digit hex with alpha</p>
+            <p style="color: #11223380">Eight digit hex with alpha</p>
+            <p style="color: RebeccaPurple">RebeccaPurple</p>
+            <p style="color: hsl(0.5turn 100% 25%)">hsl with turns</p>
+            <div class="overlay">Translucent background</div>
+            <ul style="color: hsl(0 70% 50%)"><li>Colored bullet</li></ul>
+            <table>
+              <tr style="background: hsl(60 100% 50% / 0.4)">
+                <td style="color: hsl(240 100% 50%)">Cell</td>
+                <td style="color: rgb(0 0 0 / 30%)">Faint cell</td>
+              </tr>
+            </table>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "colors-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "colors-test",
+        ...customConfig,
+      });
+    });
+
+    test("draws border styles, radii and shadows", async () => {
+      const html = `
+        <html>
+          <head>
+            <style>
+              div { padding: 6px; margin-bottom: 10px; }
+            </style>
+          </head>
+          <body>
+            <div style="border: 2px dashed rgb(0 0 200 / 60%)">Dashed</div>
+            <div style="border: 3px dotted green">Dotted</div>
+            <div style="border: 6px double #900">Double</div>
+            <div style="border: 4px none red">None</div>
+            <div style="border: 3px solid; border-color: red green blue orange; border-radius: 12px">
+              Per-side colors
+            </div>
+            <div style="border: 2px solid #333; border-radius: 16px 4px / 8px">
+              Elliptical corners
+            </div>
+            <div style="border: 1px solid #ccc; border-radius: 8px; box-shadow: 3px 3px 6px rgb(0 0 0 / 40%)">
+              Shadow
+            </div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "border-styles-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "border-styles-test",
+        ...customConfig,
+      });
+    });
+
+    test("lays out flex containers", async () => {
+      const html = `
+        <html>
+          <head>
+            <style>
+              .row { display: flex; margin-bottom: 10px; }
+              .row > div { border: 1px solid #c33; padding: 4px; }
+            </style>
+          </head>
+          <body>
+            <div class="row" style="justify-content: space-between; align-items: center">
+              <div style="font-size: 24px; font-weight: bold">LOGO</div>
+              <div style="text-align: right">Example Corp<br>1 Main Street</div>
+            </div>
+            <div class="row" style="gap: 8px">
+              <div style="flex: 1">Grow 1</div>
+              <div style="flex: 2">Grow 2</div>
+              <div>Content width</div>
+            </div>
+            <div class="row" style="flex-wrap: wrap; gap: 6px 10px">
+              <div style="flex: 0 0 30%">One</div>
+              <div style="flex: 0 0 30%">Two</div>
+              <div style="flex: 0 0 30%">Three</div>
+              <div style="flex: 0 0 30%">Four wraps</div>
+            </div>
+            <div class="row">
+              <div>A long paragraph that shrinks because the line is too narrow for all of its content.</div>
+              <div>Second item that shrinks too.</div>
+            </div>
+            <div class="row" style="flex-direction: column; align-items: center; gap: 4px">
+              <div>Column item</div>
+              <div>Another column item</div>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "flexbox-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "flexbox-test",
+        ...customConfig,
+      });
+    });
+
+    test("continues after flex rows taller than a page", () => {
+      const paragraphs = (label, count) =>
+        Array.from({ length: count }, (_, i) => `<p>${label}${i}</p>`).join("");
+      const pdf = createPdf({
+        html: `
+          <p><a href="#after">After</a></p>
+          <div style="display: flex">
+            <div>${paragraphs("A", 40)}</div>
+            <div>${paragraphs("B", 5)}</div>
+          </div>
+          <p id="after">After</p>
+        `,
+      });
+
+      expect(pdf.internal.getNumberOfPages()).toBe(2);
+      const [link] = pdf.internal.getPageInfo(1).pageContext.annotations;
+      expect(link.options.pageNumber).toBe(2);
+      expect(link.options.top).toBeLessThan(150);
+    });
+
+    test("lays out grid containers", async () => {
+      const card = (title, attributes = "") =>
+        `<div class="card" ${attributes}><b>${title}</b><br>1,234</div>`;
+      const html = `
+        <html>
+          <head>
+            <style>
+              .grid { display: grid; gap: 8px; margin-bottom: 12px; }
+              .card { border: 1px solid #36c; padding: 6px; }
+            </style>
+          </head>
+          <body>
+            <div class="grid" style="grid-template-columns: 1fr 1fr">
+              ${card("Revenue")}${card("Costs")}${card("Profit")}
+              ${card("Margin with a long title that wraps onto a second line")}
+            </div>
+            <div class="grid" style="grid-template-columns: repeat(3, 1fr)">
+              ${card("A")}${card("Wide", 'style="grid-column: span 2"')}
+              ${card("Tall", 'style="grid-row: span 2"')}
+              ${card("B")}${card("C")}${card("D")}${card("E")}
+            </div>
+            <div class="grid" style="grid-template-columns: 100px auto 20%; grid-template-rows: 60px">
+              ${card("100px")}${card("Auto")}${card("20%")}${card("Implicit row")}
+            </div>
+            <div class="grid" style="grid-template-columns: 1fr 2fr 1fr">
+              ${card("Explicit", 'style="grid-column: 2 / 4; grid-row: 1"')}
+              ${card("Auto 1")}${card("Auto 2")}
+              ${card("Last", 'style="grid-column: -2"')}
+            </div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "grid-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "grid-test",
+        ...customConfig,
+      });
+    });
+
+    test("continues after grid rows taller than a page", () => {
+      const paragraphs = (label, count) =>
+        Array.from({ length: count }, (_, i) => `<p>${label}${i}</p>`).join("");
+      const pdf = createPdf({
+        html: `
+          <p><a href="#after">After</a></p>
+          <div style="display: grid; grid-template-columns: 1fr 1fr">
+            <div>${paragraphs("A", 40)}</div>
+            <div>${paragraphs("B", 5)}</div>
+          </div>
+          <p id="after">After</p>
+        `,
+      });
+
+      expect(pdf.internal.getNumberOfPages()).toBe(2);
+      const [link] = pdf.internal.getPageInfo(1).pageContext.annotations;
+      expect(link.options.pageNumber).toBe(2);
+      expect(link.options.top).toBeLessThan(150);
+    });
+
+    test("sizes boxes with widths, heights and auto margins", async () => {
+      const html = `
+        <html>
+          <head>
+            <style>
+              html { font-size: 12px; }
+              .box { border: 1px solid #333; padding: 6px; margin-bottom: 8px; }
+            </style>
+          </head>
+          <body>
+            <p>I agree to the terms above.</p>
+            <div class="box" style="width: 60%; margin: 0 auto 8px; text-align: center">
+              Signature
+            </div>
+            <div class="box" style="width: 200px; margin-left: auto">Right</div>
+            <div class="box" style="width: 50mm; box-sizing: border-box">50mm border-box</div>
+            <div class="box" style="width: 50mm">50mm content-box</div>
+            <div class="box" style="max-width: 10cm">max-width 10cm</div>
+            <div class="box" style="width: 20px; min-width: 3in">min-width 3in</div>
+            <div class="box" style="height: 60pt">height 60pt</div>
+            <div class="box" style="min-height: 5rem">min-height 5rem</div>
+            <div class="box" style="width: 50%; margin-left: 10%">
+              <div class="box" style="width: 50%; margin: auto">50% of 50%</div>
+            </div>
+            <div class="box" style="font-size: 20px; width: 10em">10em</div>
+            <div class="box" style="display: flex">
+              <div class="box" style="margin-left: auto">Pushed right</div>
+            </div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "box-sizing-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "box-sizing-test",
+        ...customConfig,
+      });
+    });
+
+    test("resolves line heights given as lengths", () => {
+      // Distance between the baselines of two lines, in points
+      const lineGap = (lineHeight) => {
+        const pdf = createPdf({
+          html: `
+            <style>
+              html { font-size: 10px; }
+              p { font-size: 20px; margin: 0; }
+            </style>
+            <div style="line-height: ${lineHeight}"><p>One<br>Two</p></div>
+          `,
+          options: { unit: "pt" },
+        });
+        const [first, second] = [
+          ...pdf.output().matchAll(/[\d.-]+ ([\d.-]+) Td/g),
+        ].map(([, y]) => Number(y));
+        return first - second;
+      };
+
+      // rem is of the root font size, not the paragraph's
+      expect(lineGap("3rem")).toBeCloseTo(22.5);
+      expect(lineGap("30px")).toBeCloseTo(22.5);
+      // Lengths are inherited as lengths, numbers as factors
+      expect(lineGap("1.5em")).toBeCloseTo(11.25);
+      expect(lineGap("150%")).toBeCloseTo(11.25);
+      expect(lineGap("1.5")).toBeCloseTo(22.5);
+    });
+
+    test("floats and positions boxes", async () => {
+      const png =
+        "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAQAAAACCAYAAAB/qH1jAAAABHNCSVQICAgIfAhkiAAAAAFzUkdCAK7OHOkAAAATSURBVAiZYzxjbPyfAQkwMaABAEUhAjXBdqYGAAAAAElFTkSuQmCC";
+      const text =
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.";
+      const html = `
+        <html>
+          <head>
+            <style>
+              .box { border: 1px solid #c33; padding: 4px; }
+            </style>
+          </head>
+          <body>
+            <div style="position: fixed; top: 40%; left: 0; right: 0; text-align: center; font-size: 60px; color: #fcc">
+              DRAFT
+            </div>
+            <p><img src="${png}" style="float: left; width: 80px; margin-right: 8px">${text} ${text}</p>
+            <p><span class="box" style="float: right; width: 120px">Floated right</span>${text}</p>
+            <div class="box" style="clear: both">Cleared</div>
+            <div class="box" style="position: relative; height: 80px">
+              Containing block
+              <div class="box" style="position: absolute; right: 10px; bottom: 10px">Bottom right</div>
+              <div class="box" style="position: absolute; top: 5px; left: 50%">Top center</div>
+            </div>
+            <p style="position: relative; left: 20px">Moved right</p>
+            <p style="page-break-before: always">The watermark repeats on this page</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "positioning-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "positioning-test",
+        ...customConfig,
+      });
+    });
+
+    test("splits box backgrounds and borders across pages", async () => {
+      const items = Array.from(
+        { length: 40 },
+        (_, index) => `<p>Step ${index + 1} of the procedure.</p>`
+      ).join("");
+      const html = `
+        <html>
+          <style>
+            .callout {
+              background: #eef6ff;
+              border: 2px solid #369;
+              border-radius: 10px;
+              padding: 12px;
+              margin-bottom: 16px;
+            }
+          </style>
+          <body>
+            <div class="callout" style="box-shadow: 3px 3px 6px #999">
+              <strong>Note</strong> The background is drawn under the text.
+            </div>
+            <div class="callout" style="box-decoration-break: clone">
+              ${items}
+            </div>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "box-fragments-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "box-fragments-test",
+        ...customConfig,
+      });
+    });
+
+    test("keeps orphans, widows and headings with the next block", async () => {
+      const text =
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. ".repeat(
+          4
+        );
+      const html = `
+        <html>
+          <body>
+            <div style="height: 850px; background: #eee"></div>
+            <p style="orphans: 3; widows: 3">${text}</p>
+            <div style="height: 880px; background: #eee"></div>
+            <h2>Heading moved with its paragraph</h2>
+            <p>${text}</p>
+          </body>
+        </html>
+      `;
+
+      const outputPath = path.join(artifactsDir, "orphans-widows-test.pdf");
+      generatePdf({ html, pdfPath: outputPath });
+
+      const pdfImage = await pdfToImage(outputPath);
+      expect(pdfImage).toMatchImageSnapshot({
+        customSnapshotIdentifier: "orphans-widows-test",
+        ...customConfig,
+      });
+    });
+  });
+
+  describe("Links and bookmarks", () => {
+    test("adds link annotations for external and internal links", () => {
+      const text =
+        "link text that keeps going until it wraps onto further lines of the page ".repeat(
+          3
+        );
+      const pdf = createPdf({
+        html: `
+          <p><a href="https://example.com/">External</a> and <a href="#target">internal</a></p>
+          <p>Before <a href="https://example.com/long">${text}</a></p>
+          <h2 id="target" style="break-before: page">Target</h2>
+        `,
+      });
+      const annotations = pdf.internal.getPageInfo(1).pageContext.annotations;
+
+      expect(annotations[0]).toMatchObject({
+        type: "link",
+        options: { url: "https://example.com/" },
+      });
+      expect(annotations[1]).toMatchObject({
+        type: "link",
+        options: { pageNumber: 2, top: 20 },
+      });
+      // One annotation per line of the wrapped link
+      const wrapped = annotations.filter(
+        ({ options }) => options.url === "https://example.com/long"
+      );
+      expect(wrapped).toHaveLength(3);
+      const tops = wrapped.map(({ finalBounds }) => Number(finalBounds.y));
+      expect(new Set(tops).size).toBe(3);
+      expect(pdf.internal.getPageInfo(2).pageContext.annotations).toEqual([]);
+    });
+
+    test("builds nested bookmarks from headings", () => {
+      const pdf = createPdf({
+        html: `
+          <h1>Introduction</h1>
+          <p>Opening paragraph</p>
+          <h2>Details</h2>
+          <h4>Skipped level</h4>
+          <h2>More details</h2>
+          <h1 style="break-before: page">Second chapter</h1>
+        `,
+      });
+      const outline = (items) =>
+        items.map(({ title, options, children }) => ({
+          title,
+          pageNumber: options.pageNumber,
+          top: options.top,
+          children: outline(children),
+        }));
+      const [intro, second] = outline(pdf.outline.root.children);
+
+      expect(intro).toMatchObject({
+        title: "Introduction",
+        pageNumber: 1,
+        children: [
+          {
+            title: "Details",
+            pageNumber: 1,
+            children: [{ title: "Skipped level", pageNumber: 1 }],
+          },
+          { title: "More details", pageNumber: 1, children: [] },
+        ],
+      });
+      expect(second).toMatchObject({
+        title: "Second chapter",
+        pageNumber: 2,
+        children: [],
+      });
+
+      // Each bookmark opens at its heading, below the page margin
+      const destinations = Object.fromEntries(
+        [
+          ...pdf
+            .output()
+            .matchAll(
+              /\/Title \((.*?)\)[^]*?\/Dest \[(\d+) 0 R \/XYZ 0 ([\d.]+) 0\]/g
+            ),
+        ].map(([, title, objId, y]) => [
+          title,
+          { objId: Number(objId), y: Number(y) },
+        ])
+      );
+      const { scaleFactor, pageSize } = pdf.internal;
+      const pageTop = pageSize.getHeight() * scaleFactor;
+      const margin = 20 * (72 / 25.4);
+      const [details, more] = intro.children;
+      [intro, details, details.children[0], more, second].forEach(
+        ({ title, pageNumber, top }) => {
+          const destination = destinations[title];
+          expect(destination.objId).toBe(
+            pdf.internal.getPageInfo(pageNumber).objId
+          );
+          expect(destination.y).toBeCloseTo(pageTop - top * scaleFactor, 1);
+          expect(destination.y).toBeLessThan(pageTop - margin);
+        }
+      );
+      const ys = [intro, details, details.children[0], more].map(
+        ({ title }) => destinations[title].y
+      );
+      ys.slice(1).forEach((y, index) => {
+        expect(y).toBeLessThan(ys[index]);
+      });
+    });
+  });
+
+  describe("Output", () => {
+    const html = "<p>Hello</p>";
+
+    test("returns the PDF in memory", () => {
+      const buffer = generatePdf({ html, output: "buffer" });
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.subarray(0, 5).toString()).toBe("%PDF-");
+
+      const bytes = generatePdf({ html, output: "uint8array" });
+      expect(bytes).toBeInstanceOf(Uint8Array);
+
+      const arrayBuffer = generatePdf({ html, output: "arraybuffer" });
+      expect(arrayBuffer).toBeInstanceOf(ArrayBuffer);
+
+      const dataUri = generatePdf({ html, output: "datauri" });
+      expect(dataUri).toMatch(/^data:application\/pdf;/);
+    });
+
+    test("streams the PDF asynchronously", async () => {
+      const stream = await generatePdfAsync({ html, output: "stream" });
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).subarray(0, 5).toString()).toBe("%PDF-");
+    });
+
+    test("writes the PDF file asynchronously", async () => {
+      const pdfPath = path.join(artifactsDir, "async-test.pdf");
+      fs.rmSync(pdfPath, { force: true });
+
+      await generatePdfAsync({ html, pdfPath });
+      expect(fs.readFileSync(pdfPath).subarray(0, 5).toString()).toBe("%PDF-");
+    });
+
+    test("rejects unknown output types", () => {
+      expect(() => generatePdf({ html, output: "png" })).toThrow(TypeError);
+    });
+
+    test("keeps the default page margin in every unit", () => {
+      for (const unit of ["in", "cm", "pt", "mm"]) {
+        const pdf = createPdf({
+          html: "<p>Hello world</p>",
+          options: { unit },
+        });
+        const { scaleFactor, pageSize } = pdf.internal;
+        expect(pdf.internal.getNumberOfPages()).toBe(1);
+
+        const [x, y] = pdf
+          .output()
+          .match(/([\d.-]+) ([\d.-]+) Td/)
+          .slice(1)
+          .map(Number);
+        // 20mm from the left edge, inside the page box
+        expect(x).toBeGreaterThanOrEqual(56);
+        expect(x).toBeLessThan(pageSize.getWidth() * scaleFactor - 56);
+        expect(y).toBeGreaterThan(56);
+        expect(y).toBeLessThan(pageSize.getHeight() * scaleFactor - 56);
+      }
+    });
+
+    test("rejects unknown page formats", () => {
+      expect(() =>
+        generatePdf({ html, options: { format: "bogus" }, output: "buffer" })
+      ).toThrow(/Unknown page format "bogus"/);
+      expect(() =>
+        generatePdf({ html, options: { format: "A5" }, output: "buffer" })
+      ).not.toThrow();
+    });
   });
 });
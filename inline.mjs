@@ -0,0 +1,390 @@
+import { hyphenate } from "./hyphenation.mjs";
+
+/**
+ * @template R
+ * @typedef {Object} TextRun
+ * @property {string} text - Text of the run
+ * @property {string} [whiteSpace] - CSS white-space
+ * @property {string} [wordBreak] - CSS word-break
+ * @property {string} [overflowWrap] - CSS overflow-wrap
+ * @property {string} [hyphens] - CSS hyphens
+ * @property {string} [lang] - Language of the text, for `hyphens: auto`
+ * @property {number} [tabSize] - Spaces between tab stops when white
+ *   space is preserved
+ * @property {boolean} [lineBreak] - Whether this is a `<br>` instead of text
+ * @property {R} run - Run the text comes from
+ */
+
+/**
+ * @template R
+ * @typedef {Object} InlineItem
+ * @property {"word" | "space" | "break"} type - Text that can't be broken,
+ *   white space, or a forced line break
+ * @property {string} text - Text of the item, empty for breaks
+ * @property {number} width - Width of the text in PDF units
+ * @property {boolean} breakable - Whether a line may break after the item
+ * @property {boolean} collapsible - Whether a space is removed at the
+ *   start and end of a line
+ * @property {boolean} emergency - Whether a line may break after the item
+ *   when a word doesn't fit on a line of its own
+ * @property {number} hyphenWidth - Width of the hyphen shown when a line
+ *   breaks after the item, 0 for no hyphen
+ * @property {R} run - Run the item comes from
+ */
+
+/**
+ * @template R
+ * @typedef {Object} LineFragment
+ * @property {R} run - Run the text comes from
+ * @property {string} text - Text in logical order
+ * @property {number} width - Width of the text in PDF units
+ */
+
+/**
+ * @template R
+ * @typedef {Object} LineBox
+ * @property {LineFragment<R>[]} fragments - Pieces of the line, one per
+ *   run, in logical order
+ * @property {number} width - Width of the content of the line
+ * @property {boolean} last - Whether the line ends the text or comes before
+ *   a forced break
+ */
+
+/**
+ * @typedef {Object} WhiteSpaceRules
+ * @property {boolean} collapse - Whether sequences of spaces become one
+ * @property {boolean} wrap - Whether lines may break at spaces
+ * @property {boolean} newlines - Whether newlines break the line
+ */
+
+/** @type {Record<string, WhiteSpaceRules>} */
+const whiteSpaceRules = {
+  normal: { collapse: true, wrap: true, newlines: false },
+  nowrap: { collapse: true, wrap: false, newlines: false },
+  pre: { collapse: false, wrap: false, newlines: true },
+  "pre-wrap": { collapse: false, wrap: true, newlines: true },
+  "break-spaces": { collapse: false, wrap: true, newlines: true },
+  "pre-line": { collapse: true, wrap: true, newlines: true },
+};
+
+/** Spaces between tab stops when white space is preserved */
+const TAB_SIZE = 8;
+
+const SOFT_HYPHEN = "\u00ad";
+
+/** Hyphen shown at the end of a line broken inside a word */
+const HYPHEN = "-";
+
+/** Language used by `hyphens: auto` when the document doesn't set one */
+const DEFAULT_LANG = "en";
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "grapheme",
+});
+
+/**
+ * Get how a CSS `white-space` value treats spaces and newlines
+ * @param {string | undefined} whiteSpace - CSS white-space
+ * @returns {WhiteSpaceRules}
+ */
+export const getWhiteSpaceRules = (whiteSpace) =>
+  whiteSpaceRules[whiteSpace ?? ""] ?? whiteSpaceRules.normal;
+
+/**
+ * Replace tabs with the spaces up to the next tab stop
+ * @param {string} text - Text with `\n` for newlines
+ * @param {number} tabSize - Spaces between tab stops
+ * @param {number} column - Column the text starts at
+ * @returns {string}
+ */
+const expandTabs = (text, tabSize, column) => {
+  let expanded = "";
+  for (const char of text) {
+    if (char === "\t") {
+      const spaces = tabSize > 0 ? tabSize - (column % tabSize) : 0;
+      expanded += " ".repeat(spaces);
+      column += spaces;
+    } else {
+      expanded += char;
+      column = char === "\n" ? 0 : column + 1;
+    }
+  }
+  return expanded;
+};
+
+/**
+ * Split runs of text into words, spaces and forced breaks, applying the
+ * white space rules of each run. Collapsible spaces also collapse across
+ * runs, and are dropped at the start of the text.
+ * @template R
+ * @param {TextRun<R>[]} runs - Text of each run with its line breaking
+ *   properties, or `lineBreak` for `<br>`
+ * @param {(run: R, text: string) => number} measure - Width of text in a run
+ * @returns {InlineItem<R>[]}
+ */
+export const splitInlineItems = (runs, measure) => {
+  /** @type {InlineItem<R>[]} */
+  const items = [];
+  // Start as if after a space, so leading spaces collapse away
+  let afterSpace = true;
+  // Characters since the last line break, for the tab stops
+  let column = 0;
+
+  for (const textRun of runs) {
+    const { text, whiteSpace, lineBreak, run } = textRun;
+    if (lineBreak) {
+      items.push(createItem("break", "", 0, run));
+      afterSpace = true;
+      column = 0;
+      continue;
+    }
+
+    const rules = getWhiteSpaceRules(whiteSpace);
+    let normalized = text.replace(/\r\n?/g, "\n");
+    if (rules.collapse) {
+      normalized = normalized.replace(/\t/g, " ");
+      normalized = rules.newlines
+        ? normalized.replace(/ *\n */g, "\n")
+        : normalized.replace(/\n/g, " ");
+    } else {
+      normalized = expandTabs(normalized, textRun.tabSize ?? TAB_SIZE, column);
+    }
+    const lastNewline = normalized.lastIndexOf("\n");
+    column =
+      lastNewline >= 0
+        ? normalized.length - lastNewline - 1
+        : column + normalized.length;
+
+    for (const [token] of normalized.matchAll(/\n| +|[^ \n]+/g)) {
+      if (token === "\n") {
+        items.push(createItem("break", "", 0, run));
+        afterSpace = true;
+      } else if (token[0] === " ") {
+        if (rules.collapse && afterSpace) continue;
+        const space = rules.collapse ? " " : token;
+        items.push(
+          createItem("space", space, measure(run, space), run, {
+            breakable: rules.wrap,
+            collapsible: rules.collapse,
+          })
+        );
+        afterSpace = rules.collapse;
+      } else {
+        items.push(...splitWord(token, textRun, measure));
+        afterSpace = false;
+      }
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Split a word where `word-break`, `overflow-wrap` and `hyphens` let a
+ * line break inside it. Soft hyphens in the word take the place of the
+ * hyphenation dictionary.
+ * @template R
+ * @param {string} word - Text without spaces
+ * @param {TextRun<R>} textRun - Run the word is in
+ * @param {(run: R, text: string) => number} measure - Width of text in a run
+ * @returns {InlineItem<R>[]}
+ */
+const splitWord = (word, textRun, measure) => {
+  const { run, hyphens = "manual", wordBreak, overflowWrap, lang } = textRun;
+
+  /** @type {string[]} */
+  let parts;
+  if (hyphens === "none" || !word.includes(SOFT_HYPHEN)) {
+    const text = word.replaceAll(SOFT_HYPHEN, "");
+    const offsets =
+      hyphens === "auto" ? hyphenate(text, lang || DEFAULT_LANG) : [];
+    parts = [0, ...offsets].map((offset, index) =>
+      text.slice(offset, offsets[index])
+    );
+  } else {
+    parts = word.split(SOFT_HYPHEN).filter(Boolean);
+  }
+
+  const breakAll = wordBreak === "break-all";
+  const anywhere =
+    overflowWrap === "anywhere" ||
+    overflowWrap === "break-word" ||
+    wordBreak === "break-word";
+  const hyphenWidth = parts.length > 1 ? measure(run, HYPHEN) : 0;
+
+  return parts.flatMap((part, partIndex) => {
+    const lastPart = partIndex === parts.length - 1;
+    const pieces =
+      breakAll || anywhere
+        ? Array.from(graphemeSegmenter.segment(part), ({ segment }) => segment)
+        : [part];
+
+    return pieces.map((piece, index) => {
+      const lastPiece = index === pieces.length - 1;
+      const hyphenated = lastPiece && !lastPart;
+      return createItem("word", piece, measure(run, piece), run, {
+        breakable: hyphenated || (breakAll && !(lastPiece && lastPart)),
+        emergency: anywhere && !(lastPiece && lastPart),
+        hyphenWidth: hyphenated ? hyphenWidth : 0,
+      });
+    });
+  });
+};
+
+/**
+ * @template R
+ * @param {InlineItem<R>["type"]} type
+ * @param {string} text
+ * @param {number} width
+ * @param {R} run
+ * @param {Partial<Pick<InlineItem<R>, "breakable" | "collapsible" | "emergency" | "hyphenWidth">>} [options]
+ * @returns {InlineItem<R>}
+ */
+const createItem = (
+  type,
+  text,
+  width,
+  run,
+  {
+    breakable = false,
+    collapsible = false,
+    emergency = false,
+    hyphenWidth = 0,
+  } = {}
+) => ({
+  type,
+  text,
+  width,
+  breakable,
+  collapsible,
+  emergency,
+  hyphenWidth,
+  run,
+});
+
+/**
+ * Turn the items of one line into fragments, dropping the spaces that
+ * hang at its end and adding the hyphen of a word broken at its end
+ * @template R
+ * @param {InlineItem<R>[]} items - Items of the line
+ * @param {boolean} last - Whether the line ends the text or comes before a
+ *   forced break
+ * @returns {LineBox<R>}
+ */
+const createLineBox = (items, last) => {
+  let end = items.length;
+  while (
+    end > 0 &&
+    items[end - 1].type === "space" &&
+    (items[end - 1].breakable || items[end - 1].collapsible)
+  ) {
+    end--;
+  }
+
+  /** @type {LineFragment<R>[]} */
+  const fragments = [];
+  let width = 0;
+  for (const item of items.slice(0, end)) {
+    const last = fragments[fragments.length - 1];
+    if (last && last.run === item.run) {
+      last.text += item.text;
+      last.width += item.width;
+    } else {
+      fragments.push({ run: item.run, text: item.text, width: item.width });
+    }
+    width += item.width;
+  }
+
+  const lastItem = items[end - 1];
+  if (!last && lastItem?.hyphenWidth) {
+    fragments[fragments.length - 1].text += HYPHEN;
+    fragments[fragments.length - 1].width += lastItem.hyphenWidth;
+    width += lastItem.hyphenWidth;
+  }
+  return { fragments, width, last };
+};
+
+/**
+ * Break items into lines no wider than `availableWidth`, at the last
+ * point that allows a break. Words wider than a line are broken at
+ * emergency points if they have any, and overflow it otherwise.
+ * @template R
+ * @param {InlineItem<R>[]} items - Items from `splitInlineItems`
+ * @param {number | ((lines: LineBox<R>[]) => number)} availableWidth -
+ *   Width available for each line, or a function that gets the width of
+ *   the next line from the lines before it
+ * @returns {LineBox<R>[]}
+ */
+export const breakLines = (items, availableWidth) => {
+  /** @type {LineBox<R>[]} */
+  const lines = [];
+  // Widths measured for a line may be added up in another order when it
+  // is laid out, so a line exactly as wide as its content must still fit
+  const getMaxWidth = () =>
+    (typeof availableWidth === "function"
+      ? availableWidth(lines)
+      : availableWidth) + 1e-9;
+  let maxWidth = getMaxWidth();
+  /** @type {InlineItem<R>[]} */
+  let line = [];
+  let width = 0;
+  // Index of the last item in `line` the line may break after
+  let breakIndex = -1;
+  // Index of the last item the line may break after if nothing else fits
+  let emergencyIndex = -1;
+
+  /** @param {InlineItem<R>[]} lineItems - Items to start a line with */
+  const startLine = (lineItems) => {
+    line = [];
+    width = 0;
+    maxWidth = getMaxWidth();
+    breakIndex = -1;
+    emergencyIndex = -1;
+    lineItems.forEach(addItem);
+  };
+
+  /** @param {InlineItem<R>} item */
+  const addItem = (item) => {
+    line.push(item);
+    width += item.width;
+    // A hyphen that wouldn't fit rules out the break
+    if (
+      item.breakable &&
+      (item.hyphenWidth === 0 || width + item.hyphenWidth <= maxWidth)
+    ) {
+      breakIndex = line.length - 1;
+    }
+    if (item.emergency) {
+      emergencyIndex = line.length - 1;
+    }
+  };
+
+  for (const item of items) {
+    if (item.type === "break") {
+      lines.push(createLineBox(line, true));
+      startLine([]);
+      continue;
+    }
+    // Collapsible spaces never start a line
+    if (item.type === "space" && item.collapsible && line.length === 0) {
+      continue;
+    }
+
+    // What is left after a break may still not fit, and be broken again
+    while (item.type === "word" && width + item.width > maxWidth) {
+      const index = breakIndex >= 0 ? breakIndex : emergencyIndex;
+      if (index < 0) break;
+      const rest = line.splice(index + 1);
+      lines.push(createLineBox(line, false));
+      startLine(rest);
+    }
+
+    addItem(item);
+  }
+
+  // A break at the very end doesn't add an empty line
+  if (line.length > 0) {
+    lines.push(createLineBox(line, true));
+  }
+  return lines;
+};
@@ -0,0 +1,211 @@
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * @typedef {"disc" | "circle" | "square" | "decimal" | "decimal-leading-zero" | "lower-alpha" | "upper-alpha" | "lower-roman" | "upper-roman" | "none"} ListStyleType
+ */
+
+/**
+ * @typedef {Object} ListContext
+ * @property {ListStyleType} type - Marker style of the list
+ * @property {number} counter - Number of the next item
+ * @property {number} step - Counter increment, -1 for reversed lists
+ */
+
+const BULLET_TYPES = ["disc", "circle", "square"];
+
+/** @type {ListStyleType[]} */
+const LIST_STYLE_TYPES = [
+  ...BULLET_TYPES,
+  "decimal",
+  "decimal-leading-zero",
+  "lower-alpha",
+  "upper-alpha",
+  "lower-roman",
+  "upper-roman",
+  "none",
+];
+
+/** @type {Record<string, ListStyleType>} */
+const listStyleTypeAliases = {
+  "lower-latin": "lower-alpha",
+  "upper-latin": "upper-alpha",
+};
+
+/** HTML `type` attribute values of `<ol>`/`<ul>`/`<li>` */
+/** @type {Record<string, ListStyleType>} */
+const typeAttributeToListStyleType = {
+  1: "decimal",
+  a: "lower-alpha",
+  A: "upper-alpha",
+  i: "lower-roman",
+  I: "upper-roman",
+  disc: "disc",
+  circle: "circle",
+  square: "square",
+};
+
+/** Marker styles by nesting depth when the author didn't choose one */
+const defaultListStyleTypes = {
+  UL: ["disc", "circle", "square"],
+  OL: ["decimal", "lower-alpha", "lower-roman"],
+};
+
+/**
+ * Read a list-style-type keyword from a `list-style` or `list-style-type` value
+ * @param {string} [value]
+ * @returns {ListStyleType | null}
+ */
+const parseListStyleType = (value) => {
+  if (!value) return null;
+  for (const token of value.toLowerCase().split(/\s+/)) {
+    const type = listStyleTypeAliases[token] || token;
+    if (LIST_STYLE_TYPES.includes(type)) {
+      return /** @type {ListStyleType} */ (type);
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the marker style the author set on an element, through inline CSS
+ * (juice has already inlined the stylesheets) or the `type` attribute
+ * @param {Element} element - UL, OL or LI element
+ * @returns {ListStyleType | null}
+ */
+export const getAuthorListStyleType = (element) => {
+  const inlineStyle = /** @type {HTMLElement} */ (element).style;
+  return (
+    parseListStyleType(inlineStyle.listStyleType) ||
+    parseListStyleType(inlineStyle.listStyle) ||
+    typeAttributeToListStyleType[element.getAttribute("type") ?? ""] ||
+    null
+  );
+};
+
+/**
+ * Create the counter state for a UL or OL element
+ * @param {Element} element - UL or OL element
+ * @param {number} depth - Number of lists the element is nested in
+ * @returns {ListContext}
+ */
+export const createListContext = (element, depth) => {
+  const tagName = element.tagName.toUpperCase() === "OL" ? "OL" : "UL";
+  const defaults = defaultListStyleTypes[tagName];
+  const type =
+    getAuthorListStyleType(element) ||
+    /** @type {ListStyleType} */ (
+      defaults[Math.min(depth, defaults.length - 1)]
+    );
+
+  const reversed = tagName === "OL" && element.hasAttribute("reversed");
+  const itemCount = Array.from(element.children).filter(
+    (child) => child.tagName.toUpperCase() === "LI"
+  ).length;
+  const start = parseInt(element.getAttribute("start") ?? "");
+
+  return {
+    type,
+    counter: isNaN(start) ? (reversed ? itemCount : 1) : start,
+    step: reversed ? -1 : 1,
+  };
+};
+
+/**
+ * Convert a number to roman numerals
+ * @param {number} value
+ * @returns {string}
+ */
+const toRoman = (value) => {
+  if (value <= 0 || value >= 4000) return String(value);
+  const numerals = [
+    [1000, "m"],
+    [900, "cm"],
+    [500, "d"],
+    [400, "cd"],
+    [100, "c"],
+    [90, "xc"],
+    [50, "l"],
+    [40, "xl"],
+    [10, "x"],
+    [9, "ix"],
+    [5, "v"],
+    [4, "iv"],
+    [1, "i"],
+  ];
+  let result = "";
+  for (const [amount, numeral] of numerals) {
+    while (value >= amount) {
+      result += numeral;
+      value -= amount;
+    }
+  }
+  return result;
+};
+
+/**
+ * Convert a number to alphabetic markers (a, b, ..., z, aa, ab, ...)
+ * @param {number} value
+ * @returns {string}
+ */
+const toAlpha = (value) => {
+  if (value <= 0) return String(value);
+  let result = "";
+  while (value > 0) {
+    value -= 1;
+    result = String.fromCharCode(97 + (value % 26)) + result;
+    value = Math.floor(value / 26);
+  }
+  return result;
+};
+
+/**
+ * Check if the marker is drawn as a shape instead of text
+ * @param {ListStyleType} type
+ * @returns {boolean}
+ */
+export const isBulletType = (type) => BULLET_TYPES.includes(type);
+
+/**
+ * Get the text of a numbered marker, including its suffix
+ * @param {ListStyleType} type - Marker style
+ * @param {number} value - Item number
+ * @returns {string} Marker text, empty for bullets and "none"
+ */
+export const getListMarkerText = (type, value) => {
+  switch (type) {
+    case "decimal":
+      return `${value}.`;
+    case "decimal-leading-zero":
+      return `${value < 10 && value >= 0 ? "0" : ""}${value}.`;
+    case "lower-alpha":
+      return `${toAlpha(value)}.`;
+    case "upper-alpha":
+      return `${toAlpha(value).toUpperCase()}.`;
+    case "lower-roman":
+      return `${toRoman(value)}.`;
+    case "upper-roman":
+      return `${toRoman(value).toUpperCase()}.`;
+    default:
+      return "";
+  }
+};
+
+/**
+ * Draw a bullet marker centered on the given point
+ * @param {jsPDF} pdf - PDF document
+ * @param {ListStyleType} type - disc, circle or square
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} size - Bullet diameter
+ */
+export const drawBullet = (pdf, type, cx, cy, size) => {
+  const radius = size / 2;
+  if (type === "disc") {
+    pdf.circle(cx, cy, radius, "F");
+  } else if (type === "circle") {
+    pdf.setLineWidth(size / 6);
+    pdf.circle(cx, cy, radius - size / 12, "S");
+  } else if (type === "square") {
+    pdf.rect(cx - radius, cy - radius, size, size, "F");
+  }
+};
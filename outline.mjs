@@ -0,0 +1,70 @@
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * @typedef {Object} Heading
+ * @property {number} level - Heading level, 1 for H1 through 6 for H6
+ * @property {string} text - Text content of the heading
+ * @property {number} pageNumber - Page the heading was rendered on
+ * @property {number} y - Y position of the heading on that page
+ */
+
+/** Documents whose outline items already open at their heading */
+/** @type {WeakSet<jsPDF>} */
+const patchedOutlines = new WeakSet();
+
+/**
+ * Make the outline items of a document open at their `top` instead of the
+ * top of their page. jsPDF's outline plugin ignores `top` and always writes
+ * `/XYZ 0 <page top> 0`, so that destination is rewritten as it is written.
+ * @param {jsPDF} pdf - PDF document
+ */
+const useHeadingDestinations = (pdf) => {
+  if (patchedOutlines.has(pdf)) return;
+  patchedOutlines.add(pdf);
+
+  const { outline } = pdf;
+  const { objStart, line } = outline;
+  /** @type {{ options?: { pageNumber?: number, top?: number } } | undefined} */
+  let item;
+
+  outline.objStart = function (node) {
+    item = node;
+    return objStart.call(this, node);
+  };
+  outline.line = function (text) {
+    const { pageNumber, top } = item?.options ?? {};
+    if (text.startsWith("/Dest ") && pageNumber && top != null) {
+      const { objId, pageContext } = pdf.internal.getPageInfo(pageNumber);
+      const { topRightY, bottomLeftY } = pageContext.mediaBox;
+      const y = topRightY - bottomLeftY - top * pdf.internal.scaleFactor;
+      text = `/Dest [${objId} 0 R /XYZ 0 ${y.toFixed(2)} 0]`;
+    }
+    return line.call(this, text);
+  };
+};
+
+/**
+ * Add a nested PDF outline (bookmarks) for the rendered headings.
+ * A heading becomes a child of the closest preceding heading with a
+ * lower level, so skipped levels (H1 followed by H3) still nest.
+ * @param {jsPDF} pdf - PDF document
+ * @param {Heading[]} headings - Headings in document order
+ */
+export const addOutline = (pdf, headings) => {
+  useHeadingDestinations(pdf);
+
+  /** @type {{ level: number, item: Object }[]} */
+  const stack = [];
+
+  headings.forEach((heading) => {
+    while (stack.length && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    const parent = stack.length ? stack[stack.length - 1].item : null;
+    const item = pdf.outline.add(parent, heading.text || " ", {
+      pageNumber: heading.pageNumber,
+      top: heading.y,
+    });
+    stack.push({ level: heading.level, item });
+  });
+};
@@ -0,0 +1,51 @@
+import { Readable } from "stream";
+
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * @typedef {"buffer" | "uint8array" | "arraybuffer" | "datauri" | "stream"} OutputType
+ */
+
+/**
+ * @typedef {Buffer | Uint8Array | ArrayBuffer | string | Readable} PdfOutput
+ */
+
+/** @type {OutputType[]} */
+const OUTPUT_TYPES = [
+  "buffer",
+  "uint8array",
+  "arraybuffer",
+  "datauri",
+  "stream",
+];
+
+/**
+ * Serialize a finished document without touching the filesystem
+ * @param {jsPDF} pdf - PDF document
+ * @param {OutputType} type - What to return
+ * @returns {PdfOutput} The PDF as a Buffer, Uint8Array, ArrayBuffer, data URI
+ *   string, or a Readable stream of its bytes
+ */
+export const getPdfOutput = (pdf, type) => {
+  if (!OUTPUT_TYPES.includes(type)) {
+    throw new TypeError(
+      `Unknown output type "${type}", expected one of ${OUTPUT_TYPES.join(", ")}`
+    );
+  }
+
+  if (type === "datauri") {
+    return pdf.output("datauristring");
+  }
+
+  const arrayBuffer = pdf.output("arraybuffer");
+  switch (type) {
+    case "arraybuffer":
+      return arrayBuffer;
+    case "uint8array":
+      return new Uint8Array(arrayBuffer);
+    case "buffer":
+      return Buffer.from(arrayBuffer);
+    default:
+      return Readable.from([Buffer.from(arrayBuffer)]);
+  }
+};
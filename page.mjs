@@ -0,0 +1,322 @@
+import { getAtRules } from "./stylesheet.mjs";
+import { cssLengthToUnits } from "./units.mjs";
+
+/**
+ * @typedef {Object} PageRule
+ * @property {string} name - Page name, empty for rules that apply to all pages
+ * @property {boolean} first - Whether the rule only applies to the first page
+ * @property {Record<string, string>} declarations - Declarations by property
+ */
+
+/**
+ * @typedef {Object} PageBox
+ * @property {string} name - Name of the page, empty for unnamed pages
+ * @property {number} width - Page width in PDF units
+ * @property {number} height - Page height in PDF units
+ * @property {Spacing} margin - Page margins in PDF units
+ */
+
+/**
+ * @typedef {{ top: number, right: number, bottom: number, left: number }} Spacing
+ */
+
+/**
+ * @typedef {"always" | "avoid" | "auto"} BreakValue
+ */
+
+const SIDES = /** @type {const} */ (["top", "right", "bottom", "left"]);
+
+/** Lines `orphans` and `widows` keep together when they aren't set */
+const DEFAULT_LINE_LIMIT = 2;
+
+/** Page sizes in points, portrait */
+const pageSizes = {
+  a3: [841.89, 1190.55],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+  b4: [708.66, 1000.63],
+  b5: [498.9, 708.66],
+  letter: [612, 792],
+  legal: [612, 1008],
+  ledger: [792, 1224],
+};
+
+/**
+ * Collect `@page` rules from the `<style>` elements of an HTML string
+ * @param {string} html - HTML content
+ * @returns {PageRule[]} Rules in source order
+ */
+export const parsePageRules = (html) =>
+  getAtRules(html, "page").flatMap(({ prelude, declarations }) => {
+    const match = prelude.match(/^([\w-]*)\s*(?::([\w-]+))?$/);
+    // :left, :right and :blank pages are not told apart
+    if (!match || (match[2] && match[2].toLowerCase() !== "first")) {
+      return [];
+    }
+    return [{ name: match[1], first: Boolean(match[2]), declarations }];
+  });
+
+/**
+ * Resolve page margins given as CSS lengths
+ * @param {string | number | (string | number)[] | Partial<Record<keyof Spacing, string | number>> | null | undefined} value
+ *   - Margin shorthand such as "20mm 15mm", a single length, an array of
+ *   1 to 4 lengths or an object with one length per side. Numbers are pixels.
+ * @param {number} scaleFactor - Points per PDF unit
+ * @param {Spacing} fallback - Margins in PDF units for sides left out
+ * @returns {Spacing} Margins in PDF units
+ */
+export const resolveMargin = (value, scaleFactor, fallback) => {
+  /** @type {Partial<Record<keyof Spacing, string | number>>} */
+  let sides = {};
+  if (value != null && typeof value === "object" && !Array.isArray(value)) {
+    sides = value;
+  } else if (value != null) {
+    // Expand 1 to 4 values like the CSS shorthand
+    const values = Array.isArray(value)
+      ? value
+      : String(value).trim().split(/\s+/).filter(Boolean);
+    const [top, right = top, bottom = top, left = right] = values;
+    sides = { top, right, bottom, left };
+  }
+
+  const margin = { ...fallback };
+  for (const side of SIDES) {
+    const length = cssLengthToUnits(sides[side], scaleFactor);
+    if (length != null) margin[side] = length;
+  }
+  return margin;
+};
+
+/**
+ * Resolve a page format given by name ("A4", "letter") or by its size
+ * @param {string | (string | number)[]} format - Page format name, or width
+ *   and height as CSS lengths. Numbers are pixels.
+ * @param {"portrait" | "landscape" | undefined} orientation - Turns the page
+ *   if needed
+ * @param {number} scaleFactor - Points per PDF unit
+ * @returns {[number, number]} Width and height in PDF units
+ */
+export const resolvePageSize = (format, orientation, scaleFactor) => {
+  const [defaultWidth, defaultHeight] = pageSizes.a4.map(
+    (size) => size / scaleFactor
+  );
+  const value = Array.isArray(format)
+    ? format
+        .map((length) => (typeof length === "number" ? `${length}px` : length))
+        .join(" ")
+    : String(format);
+  const unknown = value
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .find(
+      (token) =>
+        !(token in pageSizes) &&
+        token !== "landscape" &&
+        token !== "portrait" &&
+        !(cssLengthToUnits(token, scaleFactor) > 0)
+    );
+  if (unknown !== undefined) {
+    throw new TypeError(
+      `Unknown page format "${format}", expected one of ${Object.keys(pageSizes).join(", ")} or a width and height`
+    );
+  }
+  return parsePageSize(
+    `${value} ${orientation ?? ""}`.trim(),
+    defaultWidth,
+    defaultHeight,
+    scaleFactor
+  );
+};
+
+/**
+ * Resolve a `size` declaration
+ * @param {string} value - Value of `size`
+ * @param {number} defaultWidth - Width for `auto` and orientation-only values
+ * @param {number} defaultHeight - Height for `auto` and orientation-only values
+ * @param {number} scaleFactor - Points per PDF unit
+ * @returns {[number, number]} Width and height in PDF units
+ */
+const parsePageSize = (value, defaultWidth, defaultHeight, scaleFactor) => {
+  let width = defaultWidth;
+  let height = defaultHeight;
+  let orientation = null;
+  /** @type {number[]} */
+  const lengths = [];
+
+  for (const token of value.toLowerCase().split(/\s+/)) {
+    if (token === "landscape" || token === "portrait") {
+      orientation = token;
+    } else if (token in pageSizes) {
+      [width, height] = pageSizes[token].map((size) => size / scaleFactor);
+    } else {
+      const length = cssLengthToUnits(token, scaleFactor);
+      if (length != null && length > 0) lengths.push(length);
+    }
+  }
+
+  if (lengths.length > 0) {
+    // A single length makes a square page
+    [width, height] = [lengths[0], lengths[1] ?? lengths[0]];
+  }
+  if (
+    (orientation === "landscape" && width < height) ||
+    (orientation === "portrait" && width > height)
+  ) {
+    [width, height] = [height, width];
+  }
+  return [width, height];
+};
+
+/**
+ * Compute the size and margins of a page from the `@page` rules that match it.
+ * Named rules win over unnamed ones and `:first` rules over plain ones.
+ * @param {PageRule[]} rules - Rules from `parsePageRules`
+ * @param {Object} page - Page to resolve
+ * @param {string} page.name - Name from the CSS `page` property, or ""
+ * @param {boolean} page.first - Whether it is the first page of the document
+ * @param {Object} defaults - Size and margin when no rule sets them
+ * @param {number} defaults.width - Page width in PDF units
+ * @param {number} defaults.height - Page height in PDF units
+ * @param {Spacing} defaults.margin - Margins in PDF units
+ * @param {number} scaleFactor - Points per PDF unit
+ * @returns {PageBox}
+ */
+export const resolvePageBox = (
+  rules,
+  { name, first },
+  defaults,
+  scaleFactor
+) => {
+  const specificity = (/** @type {PageRule} */ rule) =>
+    (rule.name ? 2 : 0) + (rule.first ? 1 : 0);
+  const declarations = rules
+    .filter(
+      (rule) => (!rule.name || rule.name === name) && (!rule.first || first)
+    )
+    .sort((a, b) => specificity(a) - specificity(b))
+    .reduce((merged, rule) => ({ ...merged, ...rule.declarations }), {});
+
+  const [width, height] = declarations.size
+    ? parsePageSize(
+        declarations.size,
+        defaults.width,
+        defaults.height,
+        scaleFactor
+      )
+    : [defaults.width, defaults.height];
+
+  const margin = resolveMargin(
+    declarations.margin,
+    scaleFactor,
+    defaults.margin
+  );
+  for (const side of SIDES) {
+    const length = cssLengthToUnits(
+      declarations[`margin-${side}`],
+      scaleFactor
+    );
+    if (length != null) margin[side] = length;
+  }
+
+  return { name, width, height, margin };
+};
+
+/**
+ * Read a page break property, accepting both `break-*` and the legacy
+ * `page-break-*` spelling
+ * @param {CSSStyleDeclaration} style - Computed style of the element
+ * @param {"before" | "after" | "inside"} position - Which property to read
+ * @returns {BreakValue}
+ */
+export const getBreakValue = (style, position) => {
+  const suffix = position[0].toUpperCase() + position.slice(1);
+  const values = [style[`break${suffix}`], style[`pageBreak${suffix}`]];
+
+  for (const value of values) {
+    switch (value) {
+      case "page":
+      case "always":
+      case "left":
+      case "right":
+      case "recto":
+      case "verso":
+        return position === "inside" ? "auto" : "always";
+      case "avoid":
+      case "avoid-page":
+        return "avoid";
+    }
+  }
+  return "auto";
+};
+
+/**
+ * Read `orphans` or `widows`: the fewest lines of a paragraph that may be
+ * left at the bottom of a page, or carried over to the top of the next
+ * @param {CSSStyleDeclaration} style - Computed style of the paragraph
+ * @param {"orphans" | "widows"} property
+ * @returns {number}
+ */
+export const getLineLimit = (style, property) => {
+  const value = parseInt(style[property], 10);
+  return value > 0 ? value : DEFAULT_LINE_LIMIT;
+};
+
+/**
+ * Choose the lines of a paragraph that start a new page. A break that
+ * would leave fewer than `widows` lines for the next page moves up, and
+ * one that would leave fewer than `orphans` lines behind takes them along
+ * unless they already start a page, where moving them wouldn't help.
+ * @param {number[]} heights - Height of each line
+ * @param {number} y - Where the first line goes
+ * @param {number} top - Where lines go on a new page
+ * @param {number} bottom - Where lines must end on a page
+ * @param {number} orphans
+ * @param {number} widows
+ * @param {boolean} atPageStart - Whether the first line starts a page
+ * @returns {Set<number>} Indexes of the lines that start a new page
+ */
+export const getLineBreaks = (
+  heights,
+  y,
+  top,
+  bottom,
+  orphans,
+  widows,
+  atPageStart
+) => {
+  const breaks = new Set();
+  // First line on the current page, and whether it starts the page
+  let pageStart = 0;
+  let startsPage = atPageStart;
+
+  heights.forEach((height, index) => {
+    if (y + height > bottom && !(index === pageStart && startsPage)) {
+      let breakIndex = index;
+      const widowIndex = Math.min(index, heights.length - widows);
+      if (widowIndex - pageStart >= orphans) {
+        breakIndex = widowIndex;
+      } else if (!startsPage) {
+        breakIndex = pageStart;
+      }
+      breaks.add(breakIndex);
+      y = heights
+        .slice(breakIndex, index)
+        .reduce((sum, moved) => sum + moved, top);
+      pageStart = breakIndex;
+      startsPage = true;
+    }
+    y += height;
+  });
+  return breaks;
+};
+
+/**
+ * Get the page name an element asks for with the CSS `page` property
+ * @param {CSSStyleDeclaration} style - Computed style of the element
+ * @returns {string | null} Page name, or null when it uses its parent's page
+ */
+export const getPageName = (style) => {
+  const value = (style.page || "").trim();
+  return value && value !== "auto" ? value : null;
+};
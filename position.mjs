@@ -0,0 +1,182 @@
+/** @import {Direction} from './bidi.mjs' */
+
+/**
+ * Margin box of a float on a page, in PDF units
+ * @typedef {Object} FloatBox
+ * @property {"left" | "right"} side - Side the float sits on
+ * @property {number} pageNumber - Page the float is drawn on
+ * @property {number} left
+ * @property {number} right
+ * @property {number} top
+ * @property {number} bottom
+ */
+
+/**
+ * Offsets of a positioned box from the edges of its containing block, as
+ * CSS values
+ * @typedef {Object} Insets
+ * @property {string} top
+ * @property {string} right
+ * @property {string} bottom
+ * @property {string} left
+ */
+
+/**
+ * Resolve a side that may be given relative to the writing direction
+ * @param {string | undefined} value - CSS float or clear value
+ * @param {Direction} direction
+ * @returns {string | undefined} The value with `inline-start` and
+ *   `inline-end` turned into `left` or `right`
+ */
+const resolveSide = (value, direction) => {
+  if (value === "inline-start") return direction === "rtl" ? "right" : "left";
+  if (value === "inline-end") return direction === "rtl" ? "left" : "right";
+  return value;
+};
+
+/**
+ * Get the side an element floats to
+ * @param {Object} style - Computed style of the element
+ * @param {Direction} direction - Direction of the containing block
+ * @returns {"left" | "right" | null} Side, or null if it doesn't float
+ */
+export const getFloatSide = (style, direction) => {
+  const side = resolveSide(style.cssFloat || style.float, direction);
+  return side === "left" || side === "right" ? side : null;
+};
+
+/**
+ * Whether an element is taken out of the flow and placed in its
+ * containing block by its offsets
+ * @param {Object} style - Computed style of the element
+ * @returns {boolean}
+ */
+export const isOutOfFlow = (style) =>
+  style.position === "absolute" || style.position === "fixed";
+
+/**
+ * Read the offsets of a positioned element. jsdom keeps `inset` as
+ * written instead of expanding it.
+ * @param {Object} style - Computed style of the element
+ * @returns {Insets} Offsets, "auto" where they aren't set
+ */
+export const getInsets = (style) => {
+  const values = String(style.inset ?? "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const [top = "auto", right = top, bottom = top, left = right] = values;
+  return {
+    top: style.top || top,
+    right: style.right || right,
+    bottom: style.bottom || bottom,
+    left: style.left || left,
+  };
+};
+
+/**
+ * Get the floats on a page next to a band of it
+ * @param {FloatBox[]} floats
+ * @param {number} pageNumber
+ * @param {number} top
+ * @param {number} bottom
+ * @returns {FloatBox[]}
+ */
+const getFloatsBeside = (floats, pageNumber, top, bottom) =>
+  floats.filter(
+    (box) =>
+      box.pageNumber === pageNumber && box.top < bottom && box.bottom > top
+  );
+
+/**
+ * Narrow the space between two edges by the floats beside a band of the
+ * page, for the line boxes that wrap around them
+ * @param {FloatBox[]} floats
+ * @param {number} pageNumber
+ * @param {number} top - Top of the band
+ * @param {number} height - Height of the band
+ * @param {number} left - Left edge without floats
+ * @param {number} right - Right edge without floats
+ * @returns {{ left: number, right: number }}
+ */
+export const getLineEdges = (floats, pageNumber, top, height, left, right) => {
+  // A band without height is still beside the floats it touches
+  const beside = getFloatsBeside(
+    floats,
+    pageNumber,
+    top,
+    top + Math.max(height, 1e-6)
+  );
+  let start = left;
+  let end = right;
+  for (const box of beside) {
+    // Floats outside the edges belong to another column
+    if (box.right <= left || box.left >= right) continue;
+    if (box.side === "left") {
+      start = Math.max(start, box.right);
+    } else {
+      end = Math.min(end, box.left);
+    }
+  }
+  return { left: start, right: end };
+};
+
+/**
+ * Find where a float goes: as high as earlier floats allow, and moved down
+ * past them until there is room beside them
+ * @param {FloatBox[]} floats - Floats placed before it
+ * @param {number} pageNumber
+ * @param {"left" | "right"} side
+ * @param {number} width - Width of the margin box
+ * @param {number} height - Height of the margin box
+ * @param {number} top - Where the float would go in the flow
+ * @param {number} left - Left edge of the containing block
+ * @param {number} right - Right edge of the containing block
+ * @returns {{ x: number, y: number }} Top left corner of the margin box
+ */
+export const placeFloat = (
+  floats,
+  pageNumber,
+  side,
+  width,
+  height,
+  top,
+  left,
+  right
+) => {
+  // A float never starts above one placed before it
+  let y = floats
+    .filter((box) => box.pageNumber === pageNumber)
+    .reduce((highest, box) => Math.max(highest, box.top), top);
+
+  for (;;) {
+    const edges = getLineEdges(floats, pageNumber, y, height, left, right);
+    const narrowed = edges.left > left || edges.right < right;
+    if (edges.right - edges.left >= width || !narrowed) {
+      return { x: side === "left" ? edges.left : edges.right - width, y };
+    }
+    // Try again below the first float in the way that ends
+    y = Math.min(
+      ...getFloatsBeside(floats, pageNumber, y, y + height).map(
+        (box) => box.bottom
+      )
+    );
+  }
+};
+
+/**
+ * Get where a box that clears floats starts
+ * @param {FloatBox[]} floats
+ * @param {number} pageNumber
+ * @param {string} clear - CSS clear value
+ * @param {Direction} direction - Direction of the containing block
+ * @param {number} top - Where the box would start without clearance
+ * @returns {number} Top of the box, below the floats it clears
+ */
+export const getClearance = (floats, pageNumber, clear, direction, top) => {
+  const value = resolveSide(clear, direction);
+  const sides = value === "both" ? ["left", "right"] : [value];
+  return floats
+    .filter((box) => box.pageNumber === pageNumber && sides.includes(box.side))
+    .reduce((bottom, box) => Math.max(bottom, box.bottom), top);
+};
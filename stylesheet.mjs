@@ -0,0 +1,59 @@
+/**
+ * @typedef {Object} AtRule
+ * @property {string} prelude - Text between the at-keyword and the block,
+ *   such as ":first" in `@page :first { ... }`
+ * @property {Record<string, string>} declarations - Declarations by lower
+ *   case property name
+ */
+
+/**
+ * Parse the declarations of a rule block
+ * @param {string} body - Text between the braces
+ * @returns {Record<string, string>} Declarations by lower case property name
+ */
+const parseDeclarations = (body) => {
+  /** @type {Record<string, string>} */
+  const declarations = {};
+  // Semicolons inside data URIs and quoted strings don't end a declaration
+  const parts = body.match(/(?:[^;"'(]|"[^"]*"|'[^']*'|\([^)]*\))+/g) ?? [];
+  parts.forEach((declaration) => {
+    const colon = declaration.indexOf(":");
+    if (colon === -1) return;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration
+      .slice(colon + 1)
+      .replace(/!important/i, "")
+      .trim();
+    if (property && value) declarations[property] = value;
+  });
+  return declarations;
+};
+
+/**
+ * Collect at-rules such as `@page` or `@font-face` from the `<style>`
+ * elements of an HTML string. They have to be read from the source
+ * because juice drops them when inlining the stylesheets.
+ * @param {string} html - HTML content
+ * @param {string} name - At-keyword without the "@"
+ * @returns {AtRule[]} Rules in source order
+ */
+export const getAtRules = (html, name) => {
+  /** @type {AtRule[]} */
+  const rules = [];
+  const ruleRegex = new RegExp(
+    `@${name}\\b([^{]*)\\{((?:[^}"']|"[^"]*"|'[^']*')*)\\}`,
+    "gi"
+  );
+
+  for (const [, css] of html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)) {
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, "");
+    for (const [, prelude, body] of source.matchAll(ruleRegex)) {
+      rules.push({
+        prelude: prelude.trim(),
+        declarations: parseDeclarations(body),
+      });
+    }
+  }
+
+  return rules;
+};
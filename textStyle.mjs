@@ -0,0 +1,177 @@
+import { resetBorderDash, setBorderDash } from "./border.mjs";
+import { withColor } from "./color.mjs";
+import { PT_PER_PX, pxToUnits, resolveLength } from "./units.mjs";
+
+/** @import {jsPDF} from 'jspdf' */
+
+/**
+ * Line drawn through the text of an element and its descendants
+ * @typedef {Object} TextDecoration
+ * @property {"underline" | "overline" | "line-through"} line - Where the
+ *   line goes
+ * @property {string} color - CSS color of the line
+ * @property {string} style - CSS text-decoration-style
+ * @property {number} fontSize - Font size of the decorating element in
+ *   CSS pixels, which sets where the line goes and how thick it is
+ * @property {number} baselineShift - Baseline shift of the decorating
+ *   element in CSS pixels, so the line stays level across sub and super
+ */
+
+const DECORATION_LINES = ["underline", "overline", "line-through"];
+
+const DECORATION_STYLES = ["solid", "double", "dotted", "dashed", "wavy"];
+
+/**
+ * Where each line goes below the baseline, in ems of the decorating
+ * element. An overline is drawn at the top of the ascent.
+ */
+const lineOffsets = { underline: 0.12, "line-through": -0.3, overline: -0.8 };
+
+/** Size of the small capitals made from lowercase letters */
+export const SMALL_CAPS_SCALE = 0.7;
+
+/**
+ * Get the lines an element draws through its text, after the ones it gets
+ * from its ancestors. jsdom keeps the `text-decoration` shorthand as
+ * written, so the line, style and color are read from it too.
+ * @param {Object} style - Computed style of the element, with its font
+ *   size resolved to pixels
+ * @param {TextDecoration[]} inherited - Decorations of the parent
+ * @param {number} baselineShift - Baseline shift of the element in pixels
+ * @returns {TextDecoration[]}
+ */
+export const getTextDecorations = (style, inherited, baselineShift) => {
+  const words = String(style.textDecoration ?? "")
+    .toLowerCase()
+    .split(/\s+(?![^(]*\))/)
+    .filter(Boolean);
+  const lines = String(style.textDecorationLine || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .concat(words)
+    .filter((word) => DECORATION_LINES.includes(word));
+  if (lines.length === 0) return inherited;
+
+  const color =
+    style.textDecorationColor ||
+    words.find(
+      (word) =>
+        !DECORATION_LINES.includes(word) &&
+        !DECORATION_STYLES.includes(word) &&
+        word !== "none"
+    ) ||
+    style.color;
+  const decorationStyle =
+    style.textDecorationStyle ||
+    words.find((word) => DECORATION_STYLES.includes(word)) ||
+    "solid";
+  const fontSize = parseFloat(style.fontSize);
+
+  return [
+    ...inherited,
+    ...[...new Set(lines)].map((line) => ({
+      line: /** @type {TextDecoration["line"]} */ (line),
+      color,
+      style: decorationStyle,
+      fontSize,
+      baselineShift,
+    })),
+  ];
+};
+
+/**
+ * Get how far `vertical-align` raises the baseline of an element above the
+ * baseline of its parent
+ * @param {Object} style - Computed style of the element, with its font
+ *   size resolved to pixels
+ * @param {number} parentFontSize - Font size of the parent in pixels
+ * @returns {number} Shift in CSS pixels, negative when lowered
+ */
+export const getBaselineShift = (style, parentFontSize) => {
+  const { verticalAlign } = style;
+  if (verticalAlign === "super") return parentFontSize / 3;
+  if (verticalAlign === "sub") return -parentFontSize / 5;
+  return (
+    resolveLength(verticalAlign, PT_PER_PX, {
+      fontSize: parseFloat(style.fontSize),
+    }) ?? 0
+  );
+};
+
+/**
+ * Change the case of text as `text-transform` says
+ * @param {string} text
+ * @param {string | undefined} textTransform - CSS text-transform
+ * @returns {string}
+ */
+export const transformText = (text, textTransform) => {
+  if (textTransform === "uppercase") return text.toUpperCase();
+  if (textTransform === "lowercase") return text.toLowerCase();
+  if (textTransform === "capitalize") {
+    return text.replace(/(?<![\p{L}\p{N}'’])\p{Ll}/gu, (letter) =>
+      letter.toUpperCase()
+    );
+  }
+  return text;
+};
+
+/**
+ * Whether a style asks for small capitals, which fonts without them get by
+ * scaling down capital letters
+ * @param {Object} style - Computed style
+ * @returns {"small-caps" | "all-small-caps" | null}
+ */
+export const getSmallCaps = (style) => {
+  const caps = style.fontVariantCaps || style.fontVariant;
+  if (caps === "small-caps" || caps === "all-small-caps") return caps;
+  return null;
+};
+
+/**
+ * Split text into the parts drawn at full size and the lowercase parts
+ * drawn as capitals at `SMALL_CAPS_SCALE`
+ * @param {string} text
+ * @param {"small-caps" | "all-small-caps"} smallCaps
+ * @returns {{ text: string, small: boolean }[]}
+ */
+export const splitSmallCaps = (text, smallCaps) => {
+  if (smallCaps === "all-small-caps") {
+    return [{ text: text.toUpperCase(), small: true }];
+  }
+  return Array.from(text.matchAll(/\p{Ll}+|[^\p{Ll}]+/gu), ([part]) => {
+    const small = /\p{Ll}/u.test(part);
+    return { text: small ? part.toUpperCase() : part, small };
+  });
+};
+
+/**
+ * Draw a decoration along a piece of text. Wavy lines are drawn straight.
+ * @param {jsPDF} pdf
+ * @param {TextDecoration} decoration
+ * @param {number} x - Start of the piece
+ * @param {number} width - Width of the piece
+ * @param {number} baseline - Baseline of the line box the piece is on
+ */
+export const drawTextDecoration = (pdf, decoration, x, width, baseline) => {
+  if (width <= 0) return;
+  const { scaleFactor } = pdf.internal;
+  const { line, fontSize, baselineShift, style } = decoration;
+  const thickness = pxToUnits(fontSize / 16, scaleFactor);
+  const y =
+    baseline +
+    pxToUnits(lineOffsets[line] * fontSize - baselineShift, scaleFactor);
+  // The second line of a double decoration goes away from the text
+  const offsets =
+    style === "double"
+      ? [0, line === "overline" ? -2 * thickness : 2 * thickness]
+      : [0];
+
+  withColor(pdf, decoration.color, "draw", () => {
+    pdf.setLineWidth(thickness);
+    setBorderDash(pdf, style, thickness);
+    for (const offset of offsets) {
+      pdf.line(x, y + offset, x + width, y + offset);
+    }
+    resetBorderDash(pdf);
+  });
+};
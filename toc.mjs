@@ -0,0 +1,69 @@
+/** @import {jsPDF} from 'jspdf' */
+/** @import {DOMWindow} from 'jsdom' */
+
+/** Elements matching this selector are replaced by the table of contents */
+export const TOC_SELECTOR = "[data-pdf-toc]";
+
+/**
+ * @typedef {Object} TocHeading
+ * @property {Element} element - Heading element
+ * @property {number} level - Heading level, 1 for H1 through 6 for H6
+ * @property {string} text - Text content of the heading
+ */
+
+/**
+ * Cheap check to skip the layout pass for documents without a TOC
+ * @param {string} html - HTML content
+ * @returns {boolean}
+ */
+export const hasTocPlaceholder = (html) => html.includes("data-pdf-toc");
+
+/**
+ * Check that neither the element nor its ancestors are hidden
+ * @param {Element} element
+ * @param {DOMWindow} window
+ * @returns {boolean}
+ */
+const isRendered = (element, window) => {
+  for (let el = element; el; el = el.parentElement) {
+    const style = window.getComputedStyle(el);
+    if (style.display === "none" || style.visibility === "hidden") {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Collect the headings listed in the table of contents, in document order
+ * @param {Document} document - Document containing the TOC placeholder
+ * @param {Element} placeholder - The TOC placeholder element
+ * @param {DOMWindow} window - Window of the document
+ * @returns {TocHeading[]}
+ */
+export const getTocHeadings = (document, placeholder, window) =>
+  Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6"))
+    .filter(
+      (element) => !placeholder.contains(element) && isRendered(element, window)
+    )
+    .map((element) => ({
+      element,
+      level: parseInt(element.tagName[1]),
+      text: element.textContent.trim().replace(/\s+/g, " "),
+    }));
+
+/**
+ * Draw a row of dots between two X positions on a baseline
+ * @param {jsPDF} pdf - PDF document, with the entry font already set
+ * @param {number} fromX - Where the leader starts
+ * @param {number} toX - Where the leader ends
+ * @param {number} y - Baseline
+ */
+export const drawDotLeader = (pdf, fromX, toX, y) => {
+  const dot = ". ";
+  const dotWidth = pdf.getTextWidth(dot);
+  const count = Math.floor((toX - fromX) / dotWidth);
+  if (count <= 0) return;
+  // Align dots to the right so leaders of all entries line up
+  pdf.text(dot.repeat(count).trimEnd(), toX, y, { align: "right" });
+};
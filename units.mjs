@@ -0,0 +1,142 @@
+/** Points per CSS pixel, which is 1/96 inch */
+export const PT_PER_PX = 72 / 96;
+
+/** Size of one of each absolute CSS unit in points */
+const pointsPerUnit = {
+  px: PT_PER_PX,
+  pt: 1,
+  pc: 12,
+  in: 72,
+  cm: 72 / 2.54,
+  mm: 72 / 25.4,
+  q: 72 / 101.6,
+};
+
+/**
+ * Convert CSS pixels to PDF units
+ * @param {number} px - Length in CSS pixels
+ * @param {number} scaleFactor - Points per PDF unit, `pdf.internal.scaleFactor`
+ * @returns {number} Length in PDF units
+ */
+export const pxToUnits = (px, scaleFactor) => (px * PT_PER_PX) / scaleFactor;
+
+/**
+ * Convert PDF units to CSS pixels
+ * @param {number} units - Length in PDF units
+ * @param {number} scaleFactor - Points per PDF unit, `pdf.internal.scaleFactor`
+ * @returns {number} Length in CSS pixels
+ */
+export const unitsToPx = (units, scaleFactor) =>
+  (units * scaleFactor) / PT_PER_PX;
+
+/**
+ * Convert an absolute CSS length to PDF units. Unitless numbers are pixels.
+ * @param {string | number | null | undefined} value - Length such as "2cm"
+ * @param {number} scaleFactor - Points per PDF unit, `pdf.internal.scaleFactor`
+ * @returns {number | null} Length in PDF units, or null if it isn't an
+ *   absolute length
+ */
+export const cssLengthToUnits = (value, scaleFactor) => {
+  if (typeof value === "number") {
+    return pxToUnits(value, scaleFactor);
+  }
+  const match = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(-?(?:\d+\.?\d*|\.\d+))([a-z]*)$/);
+  if (!match) return null;
+
+  const unit = match[2] || "px";
+  if (!(unit in pointsPerUnit)) return null;
+  return (parseFloat(match[1]) * pointsPerUnit[unit]) / scaleFactor;
+};
+
+/**
+ * What relative CSS lengths are resolved against
+ * @typedef {Object} LengthContext
+ * @property {number} [fontSize=16] - Font size of the element in pixels,
+ *   for `em`
+ * @property {number} [rootFontSize=16] - Font size of the root element in
+ *   pixels, for `rem`
+ * @property {number | null} [percentBase=null] - Length percentages are
+ *   of in PDF units, null if they can't be resolved
+ */
+
+/** Size of the font relative units in multiples of the font size */
+const emPerUnit = { em: 1, ex: 0.5, ch: 0.5 };
+
+/**
+ * Convert a CSS length to PDF units, resolving font relative units and
+ * percentages as well as absolute units
+ * @param {string | number | null | undefined} value - Length such as
+ *   "1.5em" or "60%"
+ * @param {number} scaleFactor - Points per PDF unit, `pdf.internal.scaleFactor`
+ * @param {LengthContext} [context]
+ * @returns {number | null} Length in PDF units, or null for keywords such
+ *   as `auto` and for percentages without a base
+ */
+export const resolveLength = (
+  value,
+  scaleFactor,
+  { fontSize = 16, rootFontSize = 16, percentBase = null } = {}
+) => {
+  const absolute = cssLengthToUnits(value, scaleFactor);
+  if (absolute !== null) return absolute;
+
+  const match = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(-?(?:\d+\.?\d*|\.\d+))(%|rem|em|ex|ch)$/);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  const unit = match[2];
+  if (unit === "%") {
+    return percentBase === null ? null : (number * percentBase) / 100;
+  }
+  if (unit === "rem") return pxToUnits(number * rootFontSize, scaleFactor);
+  return pxToUnits(number * fontSize * emPerUnit[unit], scaleFactor);
+};
+
+/**
+ * Convert an absolute CSS length to CSS pixels
+ * @param {string | number | null | undefined} value - Length such as "12pt"
+ * @returns {number | null} Length in pixels, or null if it isn't an
+ *   absolute length
+ */
+export const cssLengthToPx = (value) => cssLengthToUnits(value, PT_PER_PX);
+
+/** Font sizes of the CSS keywords in pixels */
+const fontSizeKeywords = {
+  "xx-small": 9,
+  "x-small": 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  "x-large": 24,
+  "xx-large": 32,
+  "xxx-large": 48,
+};
+
+/**
+ * Resolve a CSS font size to pixels
+ * @param {string | null | undefined} value - Font size such as "2em",
+ *   "120%", "larger" or "12pt", empty to inherit
+ * @param {number} parentSize - Font size of the parent in pixels
+ * @param {number} [rootSize=16] - Font size of the root element in pixels
+ * @returns {number} Font size in pixels
+ */
+export const resolveFontSize = (value, parentSize, rootSize = 16) => {
+  const size = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (size in fontSizeKeywords) return fontSizeKeywords[size];
+  if (size === "larger") return parentSize * 1.2;
+  if (size === "smaller") return parentSize / 1.2;
+
+  const number = parseFloat(size);
+  if (size.endsWith("rem")) return number * rootSize;
+  if (size.endsWith("em")) return number * parentSize;
+  if (size.endsWith("%")) return (number * parentSize) / 100;
+  return cssLengthToPx(size) ?? parentSize;
+};
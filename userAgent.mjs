@@ -0,0 +1,55 @@
+/**
+ * Options the base stylesheet is built from
+ * @typedef {Object} UserAgentOptions
+ * @property {number} lineHeight - Line height multiplier
+ * @property {number | string} paragraphSpacing - Space after paragraphs,
+ *   in CSS pixels or as a CSS length
+ * @property {string} defaultFont - Font family of the document
+ */
+
+/**
+ * Build the stylesheet applied before the document's own, with the
+ * defaults browsers give HTML elements
+ * @param {UserAgentOptions} options
+ * @returns {string} CSS
+ */
+export const getUserAgentStylesheet = ({
+  lineHeight,
+  paragraphSpacing,
+  defaultFont,
+}) => {
+  const spacing =
+    typeof paragraphSpacing === "number"
+      ? `${paragraphSpacing}px`
+      : paragraphSpacing;
+  return `
+html { font-family: ${defaultFont}; font-size: 16px; line-height: ${lineHeight}; }
+h1 { font-size: 2em; margin: 0.67em 0; }
+h2 { font-size: 1.5em; margin: 0.83em 0; }
+h3 { font-size: 1.17em; margin: 1em 0; }
+h4 { font-size: 1em; margin: 1.33em 0; }
+h5 { font-size: 0.83em; margin: 1.67em 0; }
+h6 { font-size: 0.67em; margin: 2.33em 0; }
+h1, h2, h3, h4, h5, h6, b, strong, th, dt { font-weight: bold; }
+h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+p { margin: 0 0 ${spacing}; }
+blockquote, figure { margin: 1em 40px; }
+address, cite, dfn, em, i, var { font-style: italic; }
+code, kbd, pre, samp, tt { font-family: monospace; font-size: 0.8125em; }
+pre code, pre kbd, pre samp, pre tt { font-size: 1em; }
+pre { white-space: pre; margin: 1em 0; }
+u, ins { text-decoration: underline; }
+s, strike, del { text-decoration: line-through; }
+small { font-size: smaller; }
+big { font-size: larger; }
+sub { font-size: smaller; vertical-align: sub; }
+sup { font-size: smaller; vertical-align: super; }
+a[href] { color: #0000ee; text-decoration: underline; }
+mark { color: black; }
+hr { border: 0; border-top: 1px solid #999; margin: 0.5em 0; }
+ul, ol, dl, menu { margin: 1em 0; }
+ul ul, ul ol, ol ul, ol ol { margin: 0; }
+dd { margin-left: 40px; }
+center { text-align: center; }
+`;
+};